@@ -0,0 +1,130 @@
+import React, { useState } from 'react';
+
+const PERMISSION_CLASSES = [
+  { label: 'Owner', shift: 6 },
+  { label: 'Group', shift: 3 },
+  { label: 'Others', shift: 0 }
+];
+
+const PERMISSION_BITS = [
+  { label: 'Read', bit: 4 },
+  { label: 'Write', bit: 2 },
+  { label: 'Execute', bit: 1 }
+];
+
+// Format a numeric mode as a four digit octal string
+const toOctal = (mode) => mode.toString(8).padStart(4, '0');
+
+// Modal dialog for changing a remote entry's permissions (kind 'chmod') or owner/group (kind 'chown')
+// onSubmit receives the octal mode string or { owner, group } and may throw to show an error.
+export default function FileAttributesDialog({ kind, entry, onSubmit, onCancel }) {
+  const [modeText, setModeText] = useState(toOctal(entry.mode || 0));
+  const [owner, setOwner] = useState(entry.owner || '');
+  const [group, setGroup] = useState(entry.group || '');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const modeValid = /^[0-7]{1,4}$/.test(modeText);
+  const mode = modeValid ? parseInt(modeText, 8) : 0;
+
+  const toggleBit = (value) => {
+    setModeText(toOctal(mode ^ value));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setError('');
+    try {
+      await onSubmit(kind === 'chmod' ? modeText : { owner: owner.trim(), group: group.trim() });
+    } catch (err) {
+      setError(err.message);
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-40" onClick={onCancel}>
+      <form
+        onSubmit={handleSubmit}
+        onClick={(e) => e.stopPropagation()}
+        className="bg-white rounded shadow-lg p-4 w-80 text-sm"
+      >
+        <h3 className="font-semibold mb-1">{kind === 'chmod' ? 'Permissions' : 'Owner and group'}</h3>
+        <p className="text-xs text-gray-500 mb-3 break-all">{entry.path}</p>
+
+        {kind === 'chmod' ? (
+          <>
+            <table className="w-full text-xs mb-3">
+              <thead>
+                <tr>
+                  <th />
+                  {PERMISSION_BITS.map(({ label }) => <th key={label} className="font-medium text-gray-600">{label}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {PERMISSION_CLASSES.map(({ label, shift }) => (
+                  <tr key={label}>
+                    <td className="text-gray-600 py-0.5">{label}</td>
+                    {PERMISSION_BITS.map(({ bit }) => (
+                      <td key={bit} className="text-center">
+                        <input
+                          type="checkbox"
+                          checked={modeValid && (mode & (bit << shift)) !== 0}
+                          onChange={() => toggleBit(bit << shift)}
+                          disabled={!modeValid || isSaving}
+                        />
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <label className="block text-xs text-gray-600 mb-1">Octal mode</label>
+            <input
+              type="text"
+              value={modeText}
+              onChange={(e) => setModeText(e.target.value.trim())}
+              className={`w-full border rounded px-2 py-1 font-mono ${modeValid ? '' : 'border-red-400'}`}
+              disabled={isSaving}
+            />
+          </>
+        ) : (
+          <>
+            <label className="block text-xs text-gray-600 mb-1">Owner (name or uid)</label>
+            <input
+              type="text"
+              value={owner}
+              onChange={(e) => setOwner(e.target.value)}
+              className="w-full border rounded px-2 py-1 mb-2"
+              disabled={isSaving}
+            />
+            <label className="block text-xs text-gray-600 mb-1">Group (name or gid)</label>
+            <input
+              type="text"
+              value={group}
+              onChange={(e) => setGroup(e.target.value)}
+              className="w-full border rounded px-2 py-1"
+              disabled={isSaving}
+            />
+          </>
+        )}
+
+        {error && <p className="text-xs text-red-600 mt-2">{error}</p>}
+
+        <div className="flex justify-end gap-2 mt-4">
+          <button type="button" onClick={onCancel} className="px-3 py-1 rounded bg-gray-200 hover:bg-gray-300">
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={isSaving || (kind === 'chmod' ? !modeValid : !owner.trim() && !group.trim())}
+            className="px-3 py-1 rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+          >
+            {isSaving ? 'Applying…' : 'Apply'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,182 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+
+const API_BASE = 'http://localhost:3001';
+
+// Format an ISO timestamp for the status bar
+const formatTime = (iso) => (iso ? new Date(iso).toLocaleString() : '');
+
+// Editor panel for a remote text file, loaded and saved over the session's SFTP channel
+// The version (mtime and size) seen at load time goes back with every save so the
+// gateway can refuse to overwrite changes made on the host in the meantime.
+export default function FileEditor({ sessionId, filePath, onClose, onDirtyChange }) {
+  const [file, setFile] = useState(null); // { path, name, size, mtime } of the loaded/saved version
+  const [content, setContent] = useState('');
+  const [savedContent, setSavedContent] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [status, setStatus] = useState('');
+
+  const isDirty = file !== null && content !== savedContent;
+
+  // Load the file whenever the panel is pointed at a new path
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+    setError('');
+    setStatus('');
+    setFile(null);
+
+    axios.get(`${API_BASE}/api/sessions/${sessionId}/files/content`, { params: { path: filePath } })
+      .then((response) => {
+        if (cancelled) return;
+        const { content: text, ...version } = response.data;
+        setFile(version);
+        setContent(text);
+        setSavedContent(text);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error('FileEditor: failed to open', filePath, err);
+        setError(err.response?.data?.error || err.message || 'Failed to open file');
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => { cancelled = true; };
+  }, [sessionId, filePath]);
+
+  // Let the parent know about unsaved changes (e.g. before opening another file)
+  useEffect(() => {
+    if (onDirtyChange) onDirtyChange(isDirty);
+  }, [isDirty, onDirtyChange]);
+
+  // Warn before leaving the page with unsaved changes
+  useEffect(() => {
+    if (!isDirty) return undefined;
+    const handleBeforeUnload = (e) => {
+      e.preventDefault();
+      e.returnValue = '';
+    };
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [isDirty]);
+
+  const save = useCallback(async (force = false) => {
+    if (!file) return;
+    setIsSaving(true);
+    setError('');
+    try {
+      const response = await axios.put(`${API_BASE}/api/sessions/${sessionId}/files/content`, content, {
+        params: {
+          path: file.path,
+          expectedMtime: file.mtime,
+          expectedSize: file.size,
+          force: force ? 'true' : undefined
+        },
+        headers: { 'Content-Type': 'text/plain; charset=utf-8' },
+        transformRequest: [(data) => data]
+      });
+      setFile(response.data);
+      setSavedContent(content);
+      setStatus(`Saved at ${new Date().toLocaleTimeString()}`);
+    } catch (err) {
+      const data = err.response?.data;
+      if (err.response?.status === 409 && data?.conflict) {
+        const changed = data.current
+          ? `It was modified on the host (${formatTime(data.current.mtime)}, ${data.current.size} bytes) after you opened it.`
+          : 'It was deleted on the host after you opened it.';
+        if (window.confirm(`${file.path} has changed.\n\n${changed}\n\nOverwrite it with your version?`)) {
+          setIsSaving(false);
+          await save(true);
+          return;
+        }
+        setError(`Not saved: ${data.error}`);
+      } else {
+        console.error('FileEditor: failed to save', file.path, err);
+        setError(data?.error || err.message || 'Failed to save file');
+      }
+    } finally {
+      setIsSaving(false);
+    }
+  }, [sessionId, file, content]);
+
+  const handleClose = () => {
+    if (isDirty && !window.confirm(`Discard unsaved changes to ${file.name}?`)) {
+      return;
+    }
+    onClose();
+  };
+
+  // Ctrl+S / Cmd+S saves; Tab inserts a tab instead of leaving the textarea
+  const handleKeyDown = (e) => {
+    if ((e.ctrlKey || e.metaKey) && e.key === 's') {
+      e.preventDefault();
+      if (isDirty && !isSaving) save();
+      return;
+    }
+    if (e.key === 'Tab' && !e.shiftKey) {
+      e.preventDefault();
+      const { selectionStart, selectionEnd, value } = e.target;
+      const next = `${value.substring(0, selectionStart)}\t${value.substring(selectionEnd)}`;
+      setContent(next);
+      requestAnimationFrame(() => {
+        e.target.selectionStart = e.target.selectionEnd = selectionStart + 1;
+      });
+    }
+  };
+
+  return (
+    <div className="h-full flex flex-col bg-white">
+      <div className="flex items-center gap-2 px-2 py-1 border-b bg-gray-100 text-sm">
+        <span className="font-semibold truncate" title={file?.path || filePath}>
+          {isDirty && <span className="text-orange-500" title="Unsaved changes">● </span>}
+          {file?.path || filePath}
+        </span>
+        <div className="ml-auto flex gap-1 flex-shrink-0">
+          <button
+            onClick={() => save()}
+            disabled={!isDirty || isSaving}
+            className="text-xs px-2 py-0.5 rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+            title="Save (Ctrl+S)"
+          >
+            {isSaving ? 'Saving…' : 'Save'}
+          </button>
+          <button
+            onClick={handleClose}
+            className="text-xs px-2 py-0.5 rounded bg-gray-200 hover:bg-gray-300"
+            title="Close editor"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="text-xs text-red-600 bg-red-50 border-b border-red-200 px-2 py-1">{error}</div>
+      )}
+
+      {isLoading ? (
+        <p className="p-2 text-xs text-gray-500">Loading…</p>
+      ) : file && (
+        <textarea
+          value={content}
+          onChange={(e) => setContent(e.target.value)}
+          onKeyDown={handleKeyDown}
+          className="flex-1 min-h-0 w-full p-2 font-mono text-sm resize-none outline-none"
+          spellCheck="false"
+          wrap="off"
+        />
+      )}
+
+      {file && (
+        <div className="flex justify-between px-2 py-0.5 border-t bg-gray-50 text-xs text-gray-500">
+          <span>{status || (isDirty ? 'Modified' : 'No changes')}</span>
+          <span>{file.size} bytes · modified {formatTime(file.mtime)}</span>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,81 +1,715 @@
-import React, { useState } from 'react'; // Removed useMemo
-// Removed axios import
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import axios from 'axios';
 import {
-  ControlledTreeEnvironment,
+  UncontrolledTreeEnvironment,
   Tree,
-  StaticTreeDataProvider,
 } from 'react-complex-tree';
 import 'react-complex-tree/lib/style-modern.css';
+import { uploadFiles, describeUploadResult } from '../utils/fileUpload';
+import {
+  renamePath,
+  deletePath,
+  createDirectory,
+  createFile,
+  changeMode,
+  changeOwner,
+  changeTerminalDirectory,
+  copyBetweenSessions
+} from '../utils/fileOperations';
+import { subscribeToSessionEvents } from '../utils/sessionEvents';
+import FileAttributesDialog from './FileAttributesDialog';
 
-// --- Mock Data ---
-const mockItems = {
-  root: {
-    index: 'root',
-    isFolder: true,
-    children: ['folder1', 'file1.txt'],
-    data: 'Mock Root',
-  },
-  folder1: {
-    index: 'folder1',
-    isFolder: true,
-    children: ['file2.js', 'folder2'],
-    data: 'Folder 1',
-  },
-  'file1.txt': {
-    index: 'file1.txt',
-    isFolder: false,
-    children: [],
-    data: 'File 1.txt',
-  },
-  'file2.js': {
-    index: 'file2.js',
-    isFolder: false,
-    children: [],
-    data: 'File 2.js',
-  },
-  folder2: {
-    index: 'folder2',
-    isFolder: true,
-    children: ['file3.css'],
-    data: 'Folder 2',
-  },
-  'file3.css': {
-    index: 'file3.css',
-    isFolder: false,
-    children: [],
-    data: 'File 3.css',
-  },
-};
-// --- End Mock Data ---
-
-export default function FileExplorer({ sessionId }) {
-  const [items, setItems] = useState(mockItems);
-  // Initialize viewState properly
-  const [viewState, setViewState] = useState({});
-
-  // Data provider for the tree (No useMemo)
-  console.log("Creating/Updating dataProvider with items:", items);
-  const dataProvider = new StaticTreeDataProvider(items);
-
-  console.log("Rendering FileExplorer with mock items state:", items);
-  return (
-    <div className="p-2 h-full overflow-auto">
-      <h3 className="text-sm font-semibold mb-2 border-b pb-1">File Explorer (Mock Data V2)</h3>
-      {items && items.root ? (
-        <ControlledTreeEnvironment
-          items={items} // Pass items directly here as per some examples
-          dataProvider={dataProvider} // Keep dataProvider too
-          getItemTitle={(item) => item.data}
-          // Provide a controlled or structured view state
-          viewState={viewState} 
-          onPrimaryAction={(item) => setViewState((prev) => ({ ...prev, focusedItem: item.index, selectedItems: [item.index] }))} // Basic interaction
-          onExpandItem={(item) => setViewState((prev) => ({ ...prev, expandedItems: [...(prev.expandedItems ?? []), item.index] }))}
-          onCollapseItem={(item) => setViewState((prev) => ({ ...prev, expandedItems: (prev.expandedItems ?? []).filter(id => id !== item.index) }))}
+const API_BASE = 'http://localhost:3001';
+
+// Tree item being dragged, shared by every FileExplorer on the page so a tree of another
+// session can take it as a host-to-host copy (dataTransfer can't be read during dragover)
+let draggedEntry = null;
+
+// Tree data provider backed by the session's remote filesystem (SFTP listings)
+// Item indexes are absolute remote paths, except for the 'root' item that holds
+// the listing of the directory the tree is rooted at. Folders are listed when expanded.
+class RemoteTreeDataProvider {
+  constructor(sessionId) {
+    this.sessionId = sessionId;
+    this.items = {};
+    this.expanded = new Set();
+    this.listeners = [];
+  }
+
+  async getTreeItem(itemId) {
+    return this.items[itemId] || { index: itemId, isFolder: false, children: [], data: { name: String(itemId) } };
+  }
+
+  onDidChangeTreeData(listener) {
+    this.listeners.push(listener);
+    return { dispose: () => { this.listeners = this.listeners.filter(l => l !== listener); } };
+  }
+
+  emitChange(itemIds) {
+    this.listeners.forEach(listener => listener(itemIds));
+  }
+
+  // Replace an item (items are never mutated so the tree re-renders them)
+  setItem(itemId, changes) {
+    const current = this.items[itemId];
+    this.items[itemId] = { ...current, ...changes, data: { ...current.data, ...changes.data } };
+  }
+
+  // Fetch a directory listing from the gateway
+  async fetchListing(dirPath) {
+    const response = await axios.get(`${API_BASE}/api/files/list`, {
+      params: { sessionId: this.sessionId, path: dirPath }
+    });
+    return response.data;
+  }
+
+  // Add the entries of a listing to the item map and return their indexes
+  addEntries(entries) {
+    return entries.map((entry) => {
+      const isFolder = entry.type === 'directory' || entry.targetType === 'directory';
+      const existing = this.items[entry.path];
+      this.items[entry.path] = {
+        index: entry.path,
+        isFolder,
+        children: existing ? existing.children : [],
+        data: { ...entry, loaded: existing ? existing.data.loaded : false, loading: false, error: null }
+      };
+      return entry.path;
+    });
+  }
+
+  // List the directory the tree is rooted at ('' means the home directory)
+  async loadRoot(dirPath) {
+    const listing = await this.fetchListing(dirPath);
+    this.items = {
+      root: {
+        index: 'root',
+        isFolder: true,
+        children: [],
+        data: { name: listing.path, path: listing.path, parent: listing.parent, loaded: true, loading: false, error: null }
+      }
+    };
+    this.expanded.clear();
+    this.setItem('root', { children: this.addEntries(listing.entries) });
+    return listing;
+  }
+
+  // List a folder's children, showing a loading state and any error on the node itself
+  async loadChildren(itemId) {
+    const item = this.items[itemId];
+    if (!item || !item.isFolder || item.data.loading) return;
+
+    this.setItem(itemId, { data: { loading: true, error: null } });
+    this.emitChange([itemId]);
+
+    try {
+      const listing = await this.fetchListing(item.data.path);
+      this.setItem(itemId, { children: this.addEntries(listing.entries), data: { loaded: true, loading: false } });
+    } catch (err) {
+      const message = err.response?.data?.error || err.message;
+      this.setItem(itemId, { children: [], data: { loaded: false, loading: false, error: message } });
+    }
+    this.emitChange([itemId]);
+  }
+
+  // Expanding a folder lists it the first time (or again after an error)
+  expand(itemId) {
+    this.expanded.add(itemId);
+    const item = this.items[itemId];
+    if (item && !item.data.loaded) {
+      this.loadChildren(itemId);
+    }
+  }
+
+  collapse(itemId) {
+    this.expanded.delete(itemId);
+  }
+
+  // List a directory again if it is shown in the tree (the root or a loaded folder)
+  async reloadDirectory(dirPath) {
+    const itemId = this.items.root && this.items.root.data.path === dirPath ? 'root' : dirPath;
+    const item = this.items[itemId];
+    if (item && (itemId === 'root' || item.data.loaded)) {
+      await this.loadChildren(itemId);
+    }
+  }
+
+  // Forget a path that was renamed or deleted, along with everything loaded below it
+  removeSubtree(itemPath) {
+    Object.keys(this.items).forEach((id) => {
+      if (id === itemPath || id.startsWith(`${itemPath}/`)) delete this.items[id];
+    });
+    Array.from(this.expanded).forEach((id) => {
+      if (id === itemPath || id.startsWith(`${itemPath}/`)) this.expanded.delete(id);
+    });
+  }
+
+  // List the root and every expanded folder again
+  async refresh() {
+    const folders = ['root', ...Array.from(this.expanded)].filter(id => this.items[id]);
+    await Promise.all(folders.map(id => this.loadChildren(id)));
+  }
+}
+
+// Directory part of an absolute remote path
+function parentPath(remotePath) {
+  return remotePath.substring(0, remotePath.lastIndexOf('/')) || '/';
+}
+
+// Join a directory and a name into an absolute remote path
+function joinPath(dirPath, name) {
+  return dirPath === '/' ? `/${name}` : `${dirPath}/${name}`;
+}
+
+// Split an absolute path into breadcrumb segments: [{ name, path }]
+function getBreadcrumbs(rootPath) {
+  const crumbs = [{ name: '/', path: '/' }];
+  rootPath.split('/').filter(Boolean).forEach((part, i, parts) => {
+    crumbs.push({ name: part, path: '/' + parts.slice(0, i + 1).join('/') });
+  });
+  return crumbs;
+}
+
+export default function FileExplorer({ sessionId, title = 'Files', onOpenFile, onSelectFile, revealRequest }) {
+  // Directory the tree is rooted at (a resolved remote path once listed)
+  const [rootPath, setRootPath] = useState('');
+  const [homePath, setHomePath] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [dropTarget, setDropTarget] = useState(null); // Directory files are being dragged over
+  const [status, setStatus] = useState(null); // Upload/operation status line: { text, progress?, isError? }
+  const [contextMenu, setContextMenu] = useState(null); // { x, y, item } (item is null for the tree background)
+  const [attributesDialog, setAttributesDialog] = useState(null); // { kind: 'chmod' | 'chown', entry }
+  const [highlightPath, setHighlightPath] = useState(null); // Entry revealed from elsewhere (e.g. a search result)
+  const scrollToPathRef = useRef(null); // Revealed entry that still has to be scrolled into view
+  const [terminalCwd, setTerminalCwd] = useState(null); // The linked terminal's current directory, when known
+  const [followTerminal, setFollowTerminal] = useState(false); // Root the tree wherever the terminal goes
+  const activeCopyRef = useRef(null); // { copyId, text } of the host-to-host copy this tree started
+
+  // One provider per session; re-rooting reloads it and remounts the tree
+  const dataProvider = useMemo(() => new RemoteTreeDataProvider(sessionId), [sessionId]);
+
+  // Root the tree at a directory ('' lists the home directory)
+  const navigateTo = useCallback(async (dirPath) => {
+    setIsLoading(true);
+    setError('');
+    try {
+      const listing = await dataProvider.loadRoot(dirPath);
+      if (!dirPath) setHomePath(listing.path);
+      setRootPath(listing.path);
+    } catch (err) {
+      console.error('FileExplorer: failed to list', dirPath || '~', err);
+      setError(err.response?.data?.error || err.message || 'Failed to list files');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [dataProvider]);
+
+  // Start every session in its home directory
+  useEffect(() => {
+    setRootPath('');
+    setHomePath('');
+    if (sessionId) {
+      navigateTo('');
+    }
+  }, [sessionId, navigateTo]);
+
+  // Keep track of the terminal's current directory (reported by the gateway as it changes)
+  useEffect(() => {
+    setTerminalCwd(null);
+    if (!sessionId) return undefined;
+    const unsubscribe = subscribeToSessionEvents(sessionId, (type, data) => {
+      if (type === 'cwd' || (type === 'subscribed' && data.cwd)) {
+        setTerminalCwd(type === 'cwd' ? data.path : data.cwd);
+      }
+      if (type === 'copy-progress' && activeCopyRef.current && data.copyId === activeCopyRef.current.copyId) {
+        setStatus({ text: activeCopyRef.current.text, progress: data.bytesTotal ? data.bytesCopied / data.bytesTotal : 0 });
+      }
+    });
+    return unsubscribe;
+  }, [sessionId]);
+
+  // While following the terminal, root the tree at its directory
+  useEffect(() => {
+    if (followTerminal && terminalCwd) {
+      navigateTo(terminalCwd);
+    }
+  }, [followTerminal, terminalCwd, navigateTo]);
+
+  // Reveal a path (e.g. a search result): root the tree at its directory and highlight it
+  useEffect(() => {
+    if (!revealRequest || !revealRequest.path) return;
+    setHighlightPath(revealRequest.path);
+    scrollToPathRef.current = revealRequest.path;
+    navigateTo(parentPath(revealRequest.path));
+  }, [revealRequest, navigateTo]);
+
+  const handleRefresh = async () => {
+    if (error || !rootPath) {
+      navigateTo(rootPath);
+      return;
+    }
+    setIsLoading(true);
+    await dataProvider.refresh();
+    setIsLoading(false);
+  };
+
+  // Directory a drop lands in: folders take the files themselves, files hand them to their folder
+  const getDropDirectory = (item) => {
+    if (!item) return rootPath;
+    if (item.isFolder) return item.data.path;
+    return parentPath(item.data.path);
+  };
+
+  // Items dragged from a tree of another session are copied here from that session's host
+  const isCopyFromOtherSession = () => !!draggedEntry && draggedEntry.sessionId !== sessionId;
+
+  const handleDragOver = (e, item) => {
+    if (!e.dataTransfer.types.includes('Files') && !isCopyFromOtherSession()) return;
+    e.preventDefault();
+    e.stopPropagation();
+    e.dataTransfer.dropEffect = 'copy';
+    setDropTarget(getDropDirectory(item));
+  };
+
+  // Upload dropped files (or copy an item dragged from another session) into the folder under the pointer
+  const handleDrop = async (e, item) => {
+    if (isCopyFromOtherSession()) {
+      e.preventDefault();
+      e.stopPropagation();
+      setDropTarget(null);
+      const source = draggedEntry;
+      draggedEntry = null;
+      await handleCopyFromSession(source, getDropDirectory(item));
+      return;
+    }
+    if (!e.dataTransfer.files.length) return;
+    e.preventDefault();
+    e.stopPropagation();
+    setDropTarget(null);
+
+    const dirPath = getDropDirectory(item);
+    setStatus({ text: `Uploading to ${dirPath}`, progress: 0 });
+    try {
+      const result = await uploadFiles(sessionId, e.dataTransfer.files, {
+        path: dirPath,
+        onProgress: (progress) => setStatus({ text: `Uploading to ${dirPath}`, progress })
+      });
+      setStatus({ text: `${describeUploadResult(result)} in ${result.path}` });
+      await dataProvider.reloadDirectory(result.path);
+    } catch (err) {
+      console.error('FileExplorer: upload failed', err);
+      setStatus({ text: err.message, isError: true });
+    }
+  };
+
+  // Copy an entry from another session's host into dirPath, asking before anything is overwritten
+  const handleCopyFromSession = async (source, dirPath) => {
+    const copyId = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    const text = `Copying ${source.entry.name} to ${dirPath}`;
+    activeCopyRef.current = { copyId, text };
+    setStatus({ text, progress: 0 });
+
+    const copy = { sourceSessionId: source.sessionId, sourcePaths: [source.entry.path], targetSessionId: sessionId, targetDir: dirPath, copyId };
+    try {
+      let result = await copyBetweenSessions({ ...copy, conflict: 'fail' });
+      if (result.items.some(entry => entry.status === 'conflict')
+        && window.confirm(`${source.entry.name} already exists in ${result.targetDir}. Overwrite it?`)) {
+        result = await copyBetweenSessions({ ...copy, conflict: 'overwrite' });
+      }
+
+      const failed = result.items.find(entry => entry.status === 'failed');
+      // Files still being written on the source (live logs) are copied as they were when read
+      const changedCount = result.items.reduce((sum, entry) => sum + (entry.sizeChanged ? entry.sizeChanged.length : 0), 0);
+      setStatus(failed
+        ? { text: `Copy failed: ${failed.error}`, isError: true }
+        : { text: `${describeUploadResult({ files: result.items })} in ${result.targetDir}${changedCount ? ` (${changedCount} file(s) changed size while copying)` : ''}` });
+      await dataProvider.reloadDirectory(result.targetDir);
+    } catch (err) {
+      console.error('FileExplorer: copy between hosts failed', err);
+      setStatus({ text: err.message, isError: true });
+    } finally {
+      activeCopyRef.current = null;
+    }
+  };
+
+  // Close the context menu on any click elsewhere or Escape
+  useEffect(() => {
+    if (!contextMenu) return undefined;
+    const close = () => setContextMenu(null);
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') close();
+    };
+    window.addEventListener('click', close);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      window.removeEventListener('click', close);
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [contextMenu]);
+
+  const openContextMenu = (e, item) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setContextMenu({ x: e.clientX, y: e.clientY, item });
+  };
+
+  // Run a file operation, report it in the status line and list the affected directories again
+  const runOperation = async (description, operation, reloadDirs) => {
+    setStatus({ text: `${description}…` });
+    try {
+      await operation();
+      setStatus({ text: description });
+    } catch (err) {
+      console.error(`FileExplorer: ${description} failed`, err);
+      setStatus({ text: err.message, isError: true });
+    }
+    await Promise.all(Array.from(new Set(reloadDirs)).map(dirPath => dataProvider.reloadDirectory(dirPath)));
+  };
+
+  const handleNewEntry = (dirPath, isFolder) => {
+    const name = window.prompt(`New ${isFolder ? 'folder' : 'file'} in ${dirPath}:`);
+    if (!name || !name.trim()) return;
+    const newPath = joinPath(dirPath, name.trim());
+    runOperation(
+      `Created ${newPath}`,
+      () => (isFolder ? createDirectory(sessionId, newPath) : createFile(sessionId, newPath)),
+      [dirPath]
+    );
+  };
+
+  const handleRename = (entry) => {
+    const name = window.prompt(`Rename ${entry.name} to:`, entry.name);
+    if (!name || !name.trim() || name.trim() === entry.name) return;
+    const dirPath = parentPath(entry.path);
+    const newPath = joinPath(dirPath, name.trim());
+    runOperation(`Renamed ${entry.name} to ${name.trim()}`, async () => {
+      await renamePath(sessionId, entry.path, newPath);
+      dataProvider.removeSubtree(entry.path);
+    }, [dirPath]);
+  };
+
+  const handleDelete = (entry) => {
+    const isDirectory = entry.type === 'directory';
+    const message = isDirectory
+      ? `Delete the folder ${entry.path} and everything in it?`
+      : `Delete ${entry.path}?`;
+    if (!window.confirm(message)) return;
+    runOperation(`Deleted ${entry.path}`, async () => {
+      await deletePath(sessionId, entry.path, { recursive: isDirectory });
+      dataProvider.removeSubtree(entry.path);
+    }, [parentPath(entry.path)]);
+  };
+
+  // Move dragged tree items into the folder they were dropped on
+  const handleMove = (items, target) => {
+    const targetId = target.targetType === 'between-items' ? target.parentItem : target.targetItem;
+    const dirPath = targetId === 'root' ? rootPath : targetId;
+    const moved = items.filter(item => parentPath(item.data.path) !== dirPath);
+    if (!moved.length) return;
+
+    const label = moved.length === 1 ? moved[0].data.name : `${moved.length} items`;
+    runOperation(`Moved ${label} to ${dirPath}`, async () => {
+      for (const item of moved) {
+        await renamePath(sessionId, item.data.path, joinPath(dirPath, item.data.name));
+        dataProvider.removeSubtree(item.data.path);
+      }
+    }, [dirPath, ...moved.map(item => parentPath(item.data.path))]);
+  };
+
+  // Folders can't be moved into themselves or their own subfolders
+  const canMoveTo = (items, target) => {
+    const targetId = target.targetType === 'between-items' ? target.parentItem : target.targetItem;
+    const dirPath = targetId === 'root' ? rootPath : targetId;
+    return items.every(item => dirPath !== item.data.path && !dirPath.startsWith(`${item.data.path}/`));
+  };
+
+  // cd the linked terminal into a folder
+  const handleOpenTerminalHere = async (dirPath) => {
+    try {
+      const result = await changeTerminalDirectory(sessionId, dirPath);
+      setStatus({ text: `Terminal changed to ${result.path}` });
+    } catch (err) {
+      console.error('FileExplorer: cd failed', err);
+      setStatus({ text: err.message, isError: true });
+    }
+  };
+
+  const handleAttributesSubmit = async (value) => {
+    const { kind, entry } = attributesDialog;
+    if (kind === 'chmod') {
+      await changeMode(sessionId, entry.path, value);
+      setStatus({ text: `Changed permissions of ${entry.name} to ${value}` });
+    } else {
+      await changeOwner(sessionId, entry.path, value);
+      setStatus({ text: `Changed owner of ${entry.name}` });
+    }
+    setAttributesDialog(null);
+    await dataProvider.reloadDirectory(parentPath(entry.path));
+  };
+
+  // Menu entries for a tree item, or for the directory the tree is rooted at
+  const getMenuActions = (item) => {
+    if (!item) {
+      return [
+        { label: 'New folder…', action: () => handleNewEntry(rootPath, true) },
+        { label: 'New file…', action: () => handleNewEntry(rootPath, false) },
+        { label: 'Open terminal here', action: () => handleOpenTerminalHere(rootPath) },
+        { label: 'Refresh', action: handleRefresh }
+      ];
+    }
+
+    const entry = item.data;
+    const actions = [];
+    if (isFileItem(item)) {
+      if (onOpenFile) actions.push({ label: 'Edit', action: () => onOpenFile(entry.path) });
+      actions.push({ label: 'Download', action: () => window.open(getDownloadUrl(entry.path), '_blank') });
+    }
+    if (item.isFolder) {
+      actions.push({ label: 'Download as .tar.gz', action: () => window.open(getArchiveUrl(entry.path), '_blank') });
+      actions.push({ label: 'Download filtered .tar.gz…', action: () => handleFilteredArchive(entry.path) });
+      actions.push({ label: 'New folder…', action: () => handleNewEntry(entry.path, true) });
+      actions.push({ label: 'New file…', action: () => handleNewEntry(entry.path, false) });
+      actions.push({ label: 'Open terminal here', action: () => handleOpenTerminalHere(entry.path) });
+    }
+    actions.push({ label: 'Rename…', action: () => handleRename(entry) });
+    actions.push({ label: 'Permissions…', action: () => setAttributesDialog({ kind: 'chmod', entry }) });
+    actions.push({ label: 'Owner…', action: () => setAttributesDialog({ kind: 'chown', entry }) });
+    actions.push({ label: 'Delete…', action: () => handleDelete(entry), danger: true });
+    return actions;
+  };
+
+  // Direct link to the gateway's download endpoint (the browser handles the save)
+  const getDownloadUrl = (filePath) => (
+    `${API_BASE}/api/sessions/${sessionId}/files/download?path=${encodeURIComponent(filePath)}`
+  );
+
+  // Folders download as a .tar.gz archive streamed by the gateway
+  const getArchiveUrl = (dirPath, { include = [], exclude = [] } = {}) => {
+    const params = new URLSearchParams({ path: dirPath });
+    include.forEach(glob => params.append('include', glob));
+    exclude.forEach(glob => params.append('exclude', glob));
+    return `${API_BASE}/api/sessions/${sessionId}/files/archive?${params}`;
+  };
+
+  // Ask for include/exclude globs (space separated) before downloading a folder
+  const handleFilteredArchive = (dirPath) => {
+    const include = window.prompt('Only include files matching (e.g. *.log), leave empty for all:', '');
+    if (include === null) return;
+    const exclude = window.prompt('Leave out files and folders matching (e.g. node_modules *.tmp):', '');
+    if (exclude === null) return;
+    const splitGlobs = (text) => text.split(/\s+/).filter(Boolean);
+    window.open(getArchiveUrl(dirPath, { include: splitGlobs(include), exclude: splitGlobs(exclude) }), '_blank');
+  };
+
+  // Regular files (or links to them) can be downloaded and edited
+  const isFileItem = (item) => !item.isFolder && (item.data.type === 'file' || item.data.targetType === 'file');
+
+  const renderItemTitle = ({ title, item }) => (
+    <span
+      className={`group flex items-center gap-1 min-w-0 w-full ${item.isFolder && dropTarget === item.data.path ? 'bg-blue-100 ring-1 ring-blue-400' : ''} ${highlightPath === item.data.path ? 'bg-yellow-100' : ''}`}
+      title={item.data.path}
+      ref={(el) => {
+        if (el && scrollToPathRef.current === item.data.path) {
+          scrollToPathRef.current = null;
+          el.scrollIntoView({ block: 'nearest' });
+        }
+      }}
+      draggable
+      onDragStart={(e) => {
+        // The tree's own drag handling (moves within this tree) still runs on the row
+        draggedEntry = { sessionId, entry: item.data };
+        e.dataTransfer.setData('text/plain', item.data.path);
+        e.dataTransfer.effectAllowed = 'copyMove';
+      }}
+      onDragEnd={() => { draggedEntry = null; }}
+      onDragOver={(e) => handleDragOver(e, item)}
+      onDrop={(e) => handleDrop(e, item)}
+      onContextMenu={(e) => openContextMenu(e, item)}
+    >
+      <span className="truncate">{title}</span>
+      {item.data.target && (
+        <span className="text-gray-400 truncate">-&gt; {item.data.target}</span>
+      )}
+      {item.data.loading && <span className="text-gray-400">…</span>}
+      {item.data.error && <span className="text-red-500 truncate" title={item.data.error}>⚠ {item.data.error}</span>}
+      {onOpenFile && isFileItem(item) && (
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            onOpenFile(item.data.path);
+          }}
+          className="ml-auto hidden group-hover:inline text-blue-600 hover:text-blue-800"
+          title={`Edit ${item.data.name}`}
         >
-          <Tree treeId="file-explorer-tree" rootItem="root" treeLabel="File Explorer" />
-        </ControlledTreeEnvironment>
+          ✎
+        </button>
+      )}
+      {isFileItem(item) && (
+        <a
+          href={getDownloadUrl(item.data.path)}
+          download={item.data.name}
+          onClick={(e) => e.stopPropagation()}
+          className={`${onOpenFile ? '' : 'ml-auto '}hidden group-hover:inline text-blue-600 hover:text-blue-800`}
+          title={`Download ${item.data.name}`}
+        >
+          ⬇
+        </a>
+      )}
+      {item.isFolder && (
+        <a
+          href={getArchiveUrl(item.data.path)}
+          onClick={(e) => e.stopPropagation()}
+          className="ml-auto hidden group-hover:inline text-blue-600 hover:text-blue-800"
+          title={`Download ${item.data.name} as .tar.gz`}
+        >
+          ⬇
+        </a>
+      )}
+    </span>
+  );
+
+  if (!sessionId) {
+    return <p className="p-2 text-xs text-gray-500">No session connected.</p>;
+  }
+
+  return (
+    <div className="p-2 h-full flex flex-col overflow-hidden">
+      <div className="flex items-center justify-between mb-1 border-b pb-1">
+        <h3 className="text-sm font-semibold">{title}</h3>
+        <div className="flex gap-1">
+          <button
+            onClick={() => setFollowTerminal(!followTerminal)}
+            disabled={!terminalCwd}
+            className={`text-xs px-2 py-0.5 rounded disabled:opacity-50 ${followTerminal ? 'bg-blue-600 text-white hover:bg-blue-700' : 'bg-gray-200 hover:bg-gray-300'}`}
+            title={terminalCwd ? `Follow the terminal's directory (${terminalCwd})` : 'The terminal has not reported its directory'}
+          >
+            ⇄
+          </button>
+          <button
+            onClick={() => navigateTo(homePath)}
+            disabled={!homePath || rootPath === homePath}
+            className="text-xs px-2 py-0.5 rounded bg-gray-200 hover:bg-gray-300 disabled:opacity-50"
+            title="Go to home directory"
+          >
+            ~
+          </button>
+          <button
+            onClick={handleRefresh}
+            disabled={isLoading}
+            className="text-xs px-2 py-0.5 rounded bg-gray-200 hover:bg-gray-300 disabled:opacity-50"
+            title="Refresh"
+          >
+            {isLoading ? '…' : '↻'}
+          </button>
+        </div>
+      </div>
+
+      {/* Breadcrumb path bar: click a segment to root the tree there */}
+      {rootPath && (
+        <div className="flex flex-wrap items-center text-xs text-gray-600 mb-1">
+          {getBreadcrumbs(rootPath).map((crumb, i) => (
+            <React.Fragment key={crumb.path}>
+              {i > 1 && <span className="text-gray-400">/</span>}
+              <button
+                onClick={() => navigateTo(crumb.path)}
+                className="hover:underline hover:text-blue-600 px-0.5"
+              >
+                {crumb.name}
+              </button>
+            </React.Fragment>
+          ))}
+        </div>
+      )}
+
+      {status && (
+        <div className={`text-xs mb-1 flex items-center gap-1 ${status.isError ? 'text-red-600' : 'text-gray-600'}`}>
+          <span className="truncate flex-1" title={status.text}>{status.text}</span>
+          {status.progress !== undefined ? (
+            <span>{Math.round(status.progress * 100)}%</span>
+          ) : (
+            <button onClick={() => setStatus(null)} className="text-gray-400 hover:text-gray-600" title="Dismiss">×</button>
+          )}
+        </div>
+      )}
+
+      {error ? (
+        <div className="text-xs text-red-600">
+          <p className="mb-1">{error}</p>
+          <button onClick={handleRefresh} className="px-2 py-0.5 rounded bg-gray-200 hover:bg-gray-300 text-gray-700">
+            Retry
+          </button>
+        </div>
       ) : (
-         <p className="text-xs text-gray-500">Error: Mock data is missing.</p>
+        <div
+          className={`flex-1 overflow-auto ${dropTarget && dropTarget === rootPath ? 'bg-blue-50' : ''}`}
+          onDragOver={(e) => handleDragOver(e, null)}
+          onDragLeave={(e) => {
+            if (!e.currentTarget.contains(e.relatedTarget)) setDropTarget(null);
+          }}
+          onDrop={(e) => handleDrop(e, null)}
+          onContextMenu={(e) => rootPath && openContextMenu(e, null)}
+        >
+          {rootPath ? (
+            <UncontrolledTreeEnvironment
+              key={`${sessionId}:${rootPath}`}
+              dataProvider={dataProvider}
+              getItemTitle={(item) => item.data.name}
+              viewState={{}}
+              canDragAndDrop={true}
+              canDropOnFolder={true}
+              canDropOnNonFolder={false}
+              canReorderItems={false}
+              canDropAt={canMoveTo}
+              onDrop={handleMove}
+              canRename={false}
+              renderItemTitle={renderItemTitle}
+              onExpandItem={(item) => dataProvider.expand(item.index)}
+              onCollapseItem={(item) => dataProvider.collapse(item.index)}
+              onPrimaryAction={(item) => {
+                // Clicking a file previews it where a preview pane is available, otherwise opens it
+                if (!isFileItem(item)) return;
+                if (onSelectFile) onSelectFile(item.data.path);
+                else if (onOpenFile) onOpenFile(item.data.path);
+              }}
+            >
+              <Tree treeId={`file-explorer-${sessionId}`} rootItem="root" treeLabel="Remote files" />
+            </UncontrolledTreeEnvironment>
+          ) : (
+            isLoading && <p className="text-xs text-gray-500">Loading…</p>
+          )}
+        </div>
+      )}
+
+      {contextMenu && (
+        <ul
+          className="fixed z-50 min-w-[140px] bg-white border border-gray-300 rounded shadow-lg py-1 text-xs"
+          style={{ left: contextMenu.x, top: contextMenu.y }}
+          onContextMenu={(e) => e.preventDefault()}
+        >
+          {getMenuActions(contextMenu.item).map(({ label, action, danger }) => (
+            <li key={label}>
+              <button
+                onClick={() => {
+                  setContextMenu(null);
+                  action();
+                }}
+                className={`w-full text-left px-3 py-1 hover:bg-gray-100 ${danger ? 'text-red-600' : 'text-gray-800'}`}
+              >
+                {label}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {attributesDialog && (
+        <FileAttributesDialog
+          kind={attributesDialog.kind}
+          entry={attributesDialog.entry}
+          onSubmit={handleAttributesSubmit}
+          onCancel={() => setAttributesDialog(null)}
+        />
       )}
     </div>
   );
@@ -0,0 +1,147 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import axios from 'axios';
+import Image from 'next/image';
+import { detectLanguage, tokenize } from '../utils/syntaxHighlight';
+
+const API_BASE = 'http://localhost:3001';
+
+// Tailwind colours for highlighted tokens
+const TOKEN_CLASSES = {
+  comment: 'text-gray-500 italic',
+  string: 'text-green-700',
+  number: 'text-purple-700',
+  keyword: 'text-blue-700 font-semibold',
+  tag: 'text-red-700'
+};
+
+// Format a byte count for people
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB', 'TB'];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${value.toFixed(1)} ${units[unit]}`;
+};
+
+// Classic hex dump: offset, 16 bytes in hex, printable ASCII
+const formatHexDump = (base64) => {
+  const bytes = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+  const lines = [];
+  for (let offset = 0; offset < bytes.length; offset += 16) {
+    const row = Array.from(bytes.slice(offset, offset + 16));
+    const hex = row.map(byte => byte.toString(16).padStart(2, '0')).join(' ');
+    const ascii = row.map(byte => (byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '.')).join('');
+    lines.push(`${offset.toString(16).padStart(8, '0')}  ${hex.padEnd(47)}  |${ascii}|`);
+  }
+  return lines.join('\n');
+};
+
+// Read-only preview of a remote file: highlighted text, an image, a hex dump or just metadata
+// Only the start of the file is fetched (the gateway reads it with ranged SFTP reads).
+export default function FilePreview({ sessionId, filePath, onOpenFile, onClose }) {
+  const [preview, setPreview] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+    setError('');
+    setPreview(null);
+
+    axios.get(`${API_BASE}/api/sessions/${sessionId}/files/preview`, { params: { path: filePath } })
+      .then((response) => {
+        if (!cancelled) setPreview(response.data);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error('FilePreview: failed to preview', filePath, err);
+        setError(err.response?.data?.error || err.message || 'Failed to preview file');
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => { cancelled = true; };
+  }, [sessionId, filePath]);
+
+  const tokens = useMemo(() => (
+    preview && preview.kind === 'text' ? tokenize(preview.content, detectLanguage(preview.name)) : []
+  ), [preview]);
+
+  const downloadUrl = `${API_BASE}/api/sessions/${sessionId}/files/download?path=${encodeURIComponent(preview ? preview.path : filePath)}`;
+
+  return (
+    <div className="flex flex-col h-full bg-white text-sm">
+      <div className="flex items-center gap-2 px-2 py-1 border-b bg-gray-100 flex-shrink-0">
+        <span className="font-semibold truncate" title={preview ? preview.path : filePath}>
+          {preview ? preview.name : filePath}
+        </span>
+        {preview && (
+          <span className="text-xs text-gray-500 truncate">
+            {formatSize(preview.size)} · {preview.mode.toString(8).padStart(4, '0')} · {new Date(preview.mtime).toLocaleString()}
+          </span>
+        )}
+        <div className="ml-auto flex gap-1 flex-shrink-0">
+          {onOpenFile && preview && preview.kind === 'text' && (
+            <button onClick={() => onOpenFile(preview.path)} className="text-xs px-2 py-0.5 rounded bg-blue-600 text-white hover:bg-blue-700">
+              Edit
+            </button>
+          )}
+          <a href={downloadUrl} className="text-xs px-2 py-0.5 rounded bg-gray-200 hover:bg-gray-300">
+            Download
+          </a>
+          {onClose && (
+            <button onClick={onClose} className="text-xs px-2 py-0.5 rounded bg-gray-200 hover:bg-gray-300">
+              Close
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="flex-1 min-h-0 overflow-auto">
+        {isLoading && <p className="p-2 text-xs text-gray-500">Loading preview…</p>}
+        {error && <p className="p-2 text-xs text-red-600">{error}</p>}
+
+        {preview && preview.kind === 'text' && (
+          <>
+            <pre className="p-2 text-xs font-mono whitespace-pre">
+              {tokens.map((token, i) => (
+                token.type ? <span key={i} className={TOKEN_CLASSES[token.type]}>{token.text}</span> : token.text
+              ))}
+            </pre>
+            {preview.truncated && (
+              <p className="px-2 pb-2 text-xs text-gray-500">
+                Showing the first {formatSize(new Blob([preview.content]).size)} of {formatSize(preview.size)}.
+              </p>
+            )}
+          </>
+        )}
+
+        {preview && preview.kind === 'image' && (
+          <div className="relative w-full h-full min-h-[200px]">
+            {/* Served as-is from the gateway, not through Next's image optimizer */}
+            <Image src={downloadUrl} alt={preview.name} fill unoptimized className="object-contain p-2" />
+          </div>
+        )}
+
+        {preview && preview.kind === 'binary' && (
+          <>
+            <pre className="p-2 text-xs font-mono whitespace-pre">{formatHexDump(preview.data)}</pre>
+            <p className="px-2 pb-2 text-xs text-gray-500">
+              Binary file{preview.truncated ? `; showing the first ${atob(preview.data).length} bytes of ${formatSize(preview.size)}` : ''}.
+            </p>
+          </>
+        )}
+
+        {preview && preview.kind === 'metadata' && (
+          <p className="p-2 text-xs text-gray-600">{preview.reason}. Download the file to look at it.</p>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,195 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import axios from 'axios';
+import { subscribeToSessionEvents } from '../utils/sessionEvents';
+
+const API_BASE = 'http://localhost:3001';
+
+// Search tab beside the file explorer: finds remote files by name glob and/or content
+// The search runs on the gateway; matches stream in over a session event subscription.
+export default function FileSearch({ sessionId, onOpenFile, onReveal }) {
+  const [rootPath, setRootPath] = useState('~');
+  const [name, setName] = useState('');
+  const [content, setContent] = useState('');
+  const [caseSensitive, setCaseSensitive] = useState(false);
+  const [regex, setRegex] = useState(false);
+  const [showHidden, setShowHidden] = useState(false);
+  const [search, setSearch] = useState(null); // { searchId, path, matches, summary }
+  const [error, setError] = useState('');
+
+  // Events can arrive before the search request returns, so they are kept per search id
+  const eventsRef = useRef({});
+  const searchIdRef = useRef(null);
+
+  const showEvents = useCallback((searchId) => {
+    const events = eventsRef.current[searchId] || { matches: [], summary: null };
+    setSearch(prev => (prev && prev.searchId === searchId ? { ...prev, matches: events.matches, summary: events.summary } : prev));
+  }, []);
+
+  useEffect(() => {
+    if (!sessionId) return undefined;
+    const unsubscribe = subscribeToSessionEvents(sessionId, (type, data) => {
+      if (type !== 'search-results' && type !== 'search-complete') return;
+
+      const events = eventsRef.current[data.searchId] || { matches: [], summary: null };
+      if (type === 'search-results') {
+        events.matches = events.matches.concat(data.matches);
+      } else {
+        events.summary = data;
+      }
+      eventsRef.current[data.searchId] = events;
+
+      if (data.searchId === searchIdRef.current) {
+        showEvents(data.searchId);
+      }
+    });
+    return unsubscribe;
+  }, [sessionId, showEvents]);
+
+  const cancelSearch = async () => {
+    const searchId = searchIdRef.current;
+    if (!searchId || search?.summary) return;
+    try {
+      await axios.delete(`${API_BASE}/api/sessions/${sessionId}/search/${searchId}`);
+    } catch (err) {
+      // The search may have finished in the meantime
+      console.warn('FileSearch: cancel failed', err.response?.data?.error || err.message);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!name.trim() && !content) return;
+
+    // Only one search at a time
+    if (searchIdRef.current && !search?.summary) {
+      await cancelSearch();
+    }
+
+    setError('');
+    eventsRef.current = {};
+    searchIdRef.current = null;
+    setSearch(null);
+    try {
+      const response = await axios.post(`${API_BASE}/api/sessions/${sessionId}/search`, {
+        path: rootPath.trim() || '~',
+        name: name.trim() || undefined,
+        content: content || undefined,
+        caseSensitive,
+        regex,
+        showHidden
+      });
+      const { searchId, path } = response.data;
+      searchIdRef.current = searchId;
+      setSearch({ searchId, path, matches: [], summary: null });
+      showEvents(searchId);
+    } catch (err) {
+      console.error('FileSearch: search failed', err);
+      setError(err.response?.data?.error || err.message || 'Search failed');
+    }
+  };
+
+  // Show paths relative to the searched directory
+  const relativePath = (matchPath) => (
+    search && matchPath.startsWith(`${search.path}/`) ? matchPath.slice(search.path.length + 1) : matchPath
+  );
+
+  const describeSummary = (summary) => {
+    const parts = [`${summary.total} match${summary.total === 1 ? '' : 'es'}`];
+    if (summary.truncated) parts.push('limit reached');
+    if (summary.cancelled) parts.push('cancelled');
+    if (summary.timedOut) parts.push('timed out');
+    if (summary.errors) parts.push(`${summary.errors} unreadable`);
+    return parts.join(', ');
+  };
+
+  if (!sessionId) {
+    return <p className="p-2 text-xs text-gray-500">No session connected.</p>;
+  }
+
+  const isRunning = search && !search.summary;
+
+  return (
+    <div className="p-2 h-full flex flex-col overflow-hidden text-xs">
+      <form onSubmit={handleSubmit} className="flex flex-col gap-1 mb-2 border-b pb-2">
+        <input
+          type="text"
+          value={rootPath}
+          onChange={(e) => setRootPath(e.target.value)}
+          className="border rounded px-1 py-0.5"
+          placeholder="Search in (e.g. ~ or /var/log)"
+          title="Directory to search in"
+        />
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          className="border rounded px-1 py-0.5"
+          placeholder="File name, e.g. *.conf"
+        />
+        <input
+          type="text"
+          value={content}
+          onChange={(e) => setContent(e.target.value)}
+          className="border rounded px-1 py-0.5"
+          placeholder="Containing text"
+        />
+        <div className="flex flex-wrap gap-x-2 text-gray-600">
+          <label><input type="checkbox" checked={caseSensitive} onChange={() => setCaseSensitive(!caseSensitive)} /> Match case</label>
+          <label><input type="checkbox" checked={regex} onChange={() => setRegex(!regex)} /> Regex</label>
+          <label><input type="checkbox" checked={showHidden} onChange={() => setShowHidden(!showHidden)} /> Hidden</label>
+        </div>
+        <div className="flex gap-1">
+          <button
+            type="submit"
+            disabled={!name.trim() && !content}
+            className="px-2 py-0.5 rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+          >
+            Search
+          </button>
+          {isRunning && (
+            <button type="button" onClick={cancelSearch} className="px-2 py-0.5 rounded bg-gray-200 hover:bg-gray-300">
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+
+      {error && <p className="text-red-600 mb-1">{error}</p>}
+
+      {search && (
+        <p className="text-gray-500 mb-1 truncate" title={search.path}>
+          {isRunning ? `Searching ${search.path}… ${search.matches.length} found` : `${describeSummary(search.summary)} in ${search.path}`}
+        </p>
+      )}
+
+      <ul className="flex-1 overflow-auto">
+        {search && search.matches.map((match, i) => (
+          <li key={`${match.path}:${match.line || 0}:${i}`} className="group flex items-start gap-1 hover:bg-gray-100 rounded px-1">
+            <button
+              onClick={() => (onOpenFile ? onOpenFile(match.path) : onReveal(match.path))}
+              className="flex-1 min-w-0 text-left"
+              title={onOpenFile ? `Open ${match.path}` : match.path}
+            >
+              <span className="block truncate text-gray-800">
+                {relativePath(match.path)}
+                {match.line && <span className="text-gray-400">:{match.line}</span>}
+              </span>
+              {match.text !== undefined && (
+                <span className="block truncate font-mono text-gray-500">{match.text}</span>
+              )}
+            </button>
+            {onReveal && (
+              <button
+                onClick={() => onReveal(match.path)}
+                className="hidden group-hover:inline text-blue-600 hover:text-blue-800"
+                title="Reveal in file tree"
+              >
+                ⤴
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,216 @@
+import { useEffect, useRef, useState } from 'react';
+import { fetchRecording, createPlayer } from '../utils/asciicast';
+
+const SPEEDS = [0.5, 1, 1.5, 2, 4, 8];
+
+// Format seconds as m:ss
+function formatTime(seconds) {
+  const total = Math.max(0, Math.floor(seconds));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+// Replays a session's asciicast recording in a read-only xterm with its original timing
+// startAt is a time in the recording (seconds) to open at; onShareTime(seconds) is called
+// with the current recording time when the user asks for a link to it.
+export default function SessionPlayer({ transcriptId, startAt, onShareTime }) {
+  const terminalContainerRef = useRef(null);
+  const terminalRef = useRef(null);
+  const playerRef = useRef(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [duration, setDuration] = useState(0);
+  const [speed, setSpeed] = useState(1);
+  const [compressIdle, setCompressIdle] = useState(true);
+  const [markers, setMarkers] = useState([]);
+
+  // Load the recording and set up the terminal
+  useEffect(() => {
+    let cancelled = false;
+
+    async function load() {
+      setIsLoading(true);
+      setError('');
+
+      try {
+        const recording = await fetchRecording(transcriptId);
+
+        // Import xterm dynamically to avoid SSR issues
+        const { Terminal } = await import('xterm');
+        await import('xterm/css/xterm.css');
+        if (cancelled || !terminalContainerRef.current) return;
+
+        if (!terminalRef.current) {
+          const term = new Terminal({
+            cursorBlink: false,
+            disableStdin: true,
+            theme: {
+              background: '#1e1e1e',
+              foreground: '#f0f0f0'
+            },
+            fontFamily: 'Menlo, Monaco, "Courier New", monospace',
+            fontSize: 13,
+            lineHeight: 1.2,
+            cols: recording.header.width || 80,
+            rows: recording.header.height || 24,
+            scrollback: 5000
+          });
+          term.open(terminalContainerRef.current);
+          terminalRef.current = term;
+        }
+
+        console.log(`SessionPlayer: Loaded recording ${transcriptId} (${recording.events.length} events, ${recording.duration}s)`);
+        const player = createPlayer(terminalRef.current, recording, {
+          compressIdle: true,
+          onTime: setCurrentTime,
+          onStateChange: setIsPlaying
+        });
+        playerRef.current = player;
+        setCompressIdle(true);
+        setDuration(player.getDuration());
+        setMarkers(player.getMarkers());
+
+        const initialTime = Number(startAt);
+        player.seek(Number.isFinite(initialTime) && initialTime > 0 ? player.toPlaybackTime(initialTime) : 0);
+      } catch (err) {
+        if (cancelled) return;
+        console.error('Failed to load recording:', err);
+        setError(err.message);
+      } finally {
+        if (!cancelled) {
+          setIsLoading(false);
+        }
+      }
+    }
+
+    load();
+
+    return () => {
+      cancelled = true;
+      if (playerRef.current) {
+        playerRef.current.stop();
+        playerRef.current = null;
+      }
+      setIsPlaying(false);
+    };
+  }, [transcriptId, startAt]);
+
+  // Dispose of the terminal on unmount
+  useEffect(() => {
+    return () => {
+      if (terminalRef.current) {
+        terminalRef.current.dispose();
+        terminalRef.current = null;
+      }
+    };
+  }, []);
+
+  const handleSpeedChange = (value) => {
+    if (playerRef.current) {
+      playerRef.current.setSpeed(value);
+    }
+    setSpeed(value);
+  };
+
+  const handleCompressIdleChange = (compress) => {
+    const player = playerRef.current;
+    if (!player) return;
+
+    // The timeline changes length, so duration and marker positions change with it
+    player.setCompressIdle(compress);
+    setCompressIdle(compress);
+    setDuration(player.getDuration());
+    setMarkers(player.getMarkers());
+  };
+
+  const player = playerRef.current;
+  const isReady = !isLoading && !error && !!player;
+
+  return (
+    <div className="flex flex-col h-full min-h-0">
+      <div className="flex flex-wrap items-center gap-3 px-3 py-2 bg-gray-100 border-b border-gray-200 text-sm">
+        <button
+          className="px-3 py-1 rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+          onClick={() => (isPlaying ? player.pause() : player.play())}
+          disabled={!isReady}
+        >
+          {isPlaying ? 'Pause' : 'Play'}
+        </button>
+
+        <span className="font-mono text-gray-700">
+          {formatTime(currentTime)} / {formatTime(duration)}
+        </span>
+
+        <label className="flex items-center gap-1 text-gray-700">
+          Speed
+          <select
+            className="border border-gray-300 rounded px-1 py-0.5"
+            value={speed}
+            onChange={(e) => handleSpeedChange(Number(e.target.value))}
+          >
+            {SPEEDS.map(value => (
+              <option key={value} value={value}>{value}x</option>
+            ))}
+          </select>
+        </label>
+
+        <label
+          className="flex items-center gap-1 text-gray-700"
+          title={player ? `Shorten pauses to at most ${player.getIdleLimit()}s` : undefined}
+        >
+          <input
+            type="checkbox"
+            checked={compressIdle}
+            onChange={(e) => handleCompressIdleChange(e.target.checked)}
+            disabled={!isReady}
+          />
+          Skip idle time
+        </label>
+
+        {onShareTime && (
+          <button
+            className="ml-auto px-3 py-1 rounded border border-gray-300 bg-white text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            onClick={() => onShareTime(player.toRecordingTime(player.getTime()))}
+            disabled={!isReady}
+            title="Copy a link that opens the recording at this point"
+          >
+            Copy link to {formatTime(isReady ? player.toRecordingTime(currentTime) : 0)}
+          </button>
+        )}
+      </div>
+
+      {/* Timeline with a tick for every command */}
+      <div className="px-3 pt-3 pb-2 bg-gray-100 border-b border-gray-200">
+        <input
+          type="range"
+          className="w-full"
+          min={0}
+          max={duration || 0}
+          step={0.01}
+          value={Math.min(currentTime, duration)}
+          onChange={(e) => player.seek(Number(e.target.value))}
+          disabled={!isReady || !duration}
+        />
+        <div className="relative h-3 mx-2">
+          {isReady && duration > 0 && markers.map((marker, index) => (
+            <button
+              key={`${marker.at}-${index}`}
+              className="absolute top-0 w-1 h-3 -ml-0.5 bg-yellow-500 hover:bg-yellow-700"
+              style={{ left: `${(marker.at / duration) * 100}%` }}
+              onClick={() => player.seek(marker.at)}
+              title={`${formatTime(marker.at)}  $ ${marker.label}`}
+            />
+          ))}
+        </div>
+      </div>
+
+      {isLoading && <div className="p-3 text-gray-500">Loading recording...</div>}
+      {error && <div className="p-3 text-red-600">{error}</div>}
+
+      <div className="flex-1 min-h-0 overflow-auto bg-[#1e1e1e] p-2">
+        <div ref={terminalContainerRef} />
+      </div>
+    </div>
+  );
+}
@@ -1,4 +1,6 @@
 import { useEffect, useRef, useState, useLayoutEffect } from 'react';
+import { uploadFiles, describeUploadResult } from '../utils/fileUpload';
+import { sendZmodemFiles, cancelZmodemTransfer, downloadZmodemFile } from '../utils/zmodemTransfers';
 
 // Simple debounce utility
 function debounce(func, wait) {
@@ -21,6 +23,15 @@ export default function TerminalComponent({ sessionId, onSessionClose, panelId }
   const [isTerminalReady, setIsTerminalReady] = useState(false);
   const [isConnected, setIsConnected] = useState(false);
   const [error, setError] = useState(null);
+  const [hostKeyPrompt, setHostKeyPrompt] = useState(null); // First-use host key confirmation
+  const [authPrompt, setAuthPrompt] = useState(null); // Keyboard-interactive (MFA) prompts from the server
+  const [authAnswers, setAuthAnswers] = useState([]);
+  const [reconnectState, setReconnectState] = useState(null); // Set while the server re-establishes a dropped connection
+  const [uploadState, setUploadState] = useState(null); // Progress or outcome of the latest upload into this session
+  const [isDragOver, setIsDragOver] = useState(false);
+  const [cwd, setCwd] = useState(null); // Shell's current directory, when the gateway can tell
+  const [zmodemState, setZmodemState] = useState(null); // rz/sz transfer the gateway is running in this terminal
+  const zmodemInputRef = useRef(null);
   
   // Define forceResize BEFORE using it in debounce
   const forceResize = () => {
@@ -155,8 +166,11 @@ export default function TerminalComponent({ sessionId, onSessionClose, panelId }
         console.log('Disconnecting ResizeObserver.');
         observer.disconnect();
       }
-      // Clean up WebSocket on unmount
+      // Clean up WebSocket on unmount; detach first so the shell keeps running for a reattach
       if (wsRef.current) {
+        if (wsRef.current.readyState === WebSocket.OPEN) {
+          wsRef.current.send(JSON.stringify({ type: 'detach' }));
+        }
         wsRef.current.close();
         wsRef.current = null;
       }
@@ -250,9 +264,134 @@ export default function TerminalComponent({ sessionId, onSessionClose, panelId }
             setError(message.data);
             break;
             
+          case 'hostkey-prompt':
+            // Server is waiting for the user to trust an unknown host key
+            console.log('Host key confirmation requested:', message.data);
+            setHostKeyPrompt(message.data);
+            break;
+            
+          case 'hostkey-resolved':
+            setHostKeyPrompt(null);
+            break;
+            
+          case 'auth-prompt':
+            // Server relays keyboard-interactive prompts (e.g. PAM password + TOTP)
+            console.log(`Authentication prompt received (attempt ${message.data.attempt}/${message.data.maxAttempts})`);
+            setAuthAnswers(message.data.prompts.map(() => ''));
+            setAuthPrompt(message.data);
+            break;
+            
+          case 'auth-resolved':
+            setAuthPrompt(null);
+            setAuthAnswers([]);
+            break;
+            
+          case 'reconnecting':
+            // SSH connection dropped; the server retries with backoff
+            console.warn(`SSH connection lost (${message.data.reason}), reconnect attempt ${message.data.attempt}/${message.data.maxAttempts}`);
+            if (terminalRef.current && message.data.attempt === 1) {
+              terminalRef.current.write(`\r\n\x1b[33m[Connection lost: ${message.data.reason}. Reconnecting...]\x1b[0m\r\n`);
+            }
+            setReconnectState(message.data);
+            break;
+            
+          case 'reconnected':
+            console.log(`SSH connection re-established after ${message.data.attempts} attempt(s)`);
+            if (terminalRef.current) {
+              terminalRef.current.write('\r\n\x1b[32m[Reconnected - new shell session]\x1b[0m\r\n');
+            }
+            setReconnectState(null);
+            setError(null);
+            break;
+            
+          case 'detached':
+            console.log('Detached from session; it keeps running on the server');
+            break;
+
+          case 'upload-progress': {
+            const { uploadId, path, file, bytesReceived, bytesExpected } = message.data;
+            setUploadState({
+              uploadId,
+              text: `Uploading${file ? ` ${file}` : ''} to ${path}`,
+              percent: bytesExpected ? Math.round((bytesReceived / bytesExpected) * 100) : 0
+            });
+            break;
+          }
+            
+          case 'upload-complete':
+            setUploadState({
+              uploadId: message.data.uploadId,
+              text: message.data.error
+                ? `Upload failed: ${message.data.error}`
+                : `Upload to ${message.data.path}: ${describeUploadResult(message.data)}`,
+              isError: !!message.data.error,
+              done: true
+            });
+            break;
+            
+          case 'cwd':
+            setCwd(message.data.path);
+            break;
+            
+          case 'zmodem-start': {
+            const { transferId, direction } = message.data;
+            setZmodemState({
+              transferId,
+              direction,
+              text: direction === 'upload' ? 'rz is waiting for files' : 'Receiving files from sz',
+              waitingForFiles: direction === 'upload'
+            });
+            break;
+          }
+            
+          case 'zmodem-progress': {
+            const { transferId, direction, name, bytes, size } = message.data;
+            setZmodemState({
+              transferId,
+              direction,
+              text: `${direction === 'upload' ? 'Sending' : 'Receiving'} ${name}`,
+              percent: size ? Math.round((bytes / size) * 100) : null
+            });
+            break;
+          }
+            
+          case 'zmodem-file':
+            console.log(`Received ${message.data.name} (${message.data.size} bytes) over ZMODEM`);
+            downloadZmodemFile(sessionId, message.data.fileId, message.data.name);
+            break;
+            
+          case 'zmodem-end': {
+            const { direction, files, error: transferError } = message.data;
+            const names = files.map(file => (file.status === 'skipped' ? `${file.name} (skipped)` : file.name)).join(', ');
+            setZmodemState({
+              text: transferError
+                ? `${direction === 'upload' ? 'rz' : 'sz'} transfer failed: ${transferError}`
+                : `${direction === 'upload' ? 'Sent' : 'Received'} ${names || 'no files'}`,
+              isError: !!transferError,
+              done: true
+            });
+            break;
+          }
+            
+          case 'trzsz-detected':
+            // The gateway explains in the terminal itself that only rz/sz is supported
+            console.log('trzsz transfer requested; not supported');
+            break;
+            
+          case 'exec-output':
+          case 'exec-exit':
+            // Streamed exec channel output belongs to whoever ran the command, not the terminal
+            break;
+            
+          case 'copy-progress':
+          case 'copy-complete':
+            // Host-to-host copies report their progress in the file explorer that started them
+            break;
+
           case 'closed':
             // Terminal session closed
             console.log('Terminal session closed by server');
+            setReconnectState(null);
             if (terminalRef.current) {
               terminalRef.current.write('\r\n\nConnection closed\r\n');
             }
@@ -276,9 +415,10 @@ export default function TerminalComponent({ sessionId, onSessionClose, panelId }
       console.log('WebSocket connection closed');
       setIsConnected(false);
       
-      // Notify parent component
-      if (onSessionClose) {
-        onSessionClose();
+      // Losing the WebSocket only detaches this client; the server keeps the
+      // session alive, so don't close it here (a 'closed' message does that)
+      if (wsRef.current === ws) {
+        setError('Lost connection to the terminal server. The session stays available to reattach.');
       }
     });
     
@@ -290,6 +430,30 @@ export default function TerminalComponent({ sessionId, onSessionClose, panelId }
     });
   };
 
+  // Send the user's decision on an unknown host key back to the server
+  const respondToHostKey = (accept) => {
+    if (wsRef.current && wsRef.current.readyState === WebSocket.OPEN) {
+      wsRef.current.send(JSON.stringify({
+        type: 'hostkey-response',
+        accept
+      }));
+    }
+    setHostKeyPrompt(null);
+  };
+
+  // Send keyboard-interactive answers (or a cancellation) back to the server
+  const respondToAuthPrompt = (cancel = false) => {
+    if (wsRef.current && wsRef.current.readyState === WebSocket.OPEN) {
+      wsRef.current.send(JSON.stringify({
+        type: 'auth-response',
+        answers: cancel ? [] : authAnswers,
+        cancel
+      }));
+    }
+    setAuthPrompt(null);
+    setAuthAnswers([]);
+  };
+
   const initTerminal = async () => {
     if (!terminalContainerRef.current) return;
 
@@ -495,8 +659,203 @@ export default function TerminalComponent({ sessionId, onSessionClose, panelId }
     };
   }, [sessionId]);
 
+  // Hide the outcome of an upload after a few seconds
+  useEffect(() => {
+    if (!uploadState?.done) return;
+    const timer = setTimeout(() => setUploadState(null), 5000);
+    return () => clearTimeout(timer);
+  }, [uploadState]);
+  
+  // Hide the outcome of an rz/sz transfer after a few seconds
+  useEffect(() => {
+    if (!zmodemState?.done) return;
+    const timer = setTimeout(() => setZmodemState(null), 5000);
+    return () => clearTimeout(timer);
+  }, [zmodemState]);
+  
+  // Files picked for a waiting rz go to the gateway, which streams them to the host
+  const handleZmodemFiles = (e) => {
+    const { transferId } = zmodemState;
+    const files = Array.from(e.target.files);
+    e.target.value = '';
+    setZmodemState(prev => ({ ...prev, waitingForFiles: false, text: `Sending ${files.length} file(s)` }));
+    sendZmodemFiles(sessionId, transferId, files).catch((err) => {
+      console.error('ZMODEM upload failed:', err);
+      setZmodemState({ text: `rz transfer failed: ${err.message}`, isError: true, done: true });
+    });
+  };
+  
+  const cancelZmodem = () => {
+    if (!zmodemState?.transferId) return;
+    cancelZmodemTransfer(sessionId, zmodemState.transferId).catch((err) => {
+      console.error('Failed to cancel ZMODEM transfer:', err);
+    });
+  };
+  
+  // Files dropped on the terminal are uploaded to the host (the gateway picks the shell's current directory)
+  const handleDragOver = (e) => {
+    if (!sessionId || !e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    setIsDragOver(true);
+  };
+  
+  const handleDrop = (e) => {
+    if (!sessionId || !e.dataTransfer.files.length) return;
+    e.preventDefault();
+    setIsDragOver(false);
+    // Progress and the outcome arrive as upload-progress / upload-complete messages
+    uploadFiles(sessionId, e.dataTransfer.files).catch((err) => {
+      console.error('Upload failed:', err);
+      setUploadState({ text: `Upload failed: ${err.message}`, isError: true, done: true });
+    });
+  };
+
   return (
-    <div className="flex flex-col h-full" style={{ minHeight: '400px' }}>
+    <div
+      className="flex flex-col h-full relative"
+      style={{ minHeight: '400px' }}
+      onDragOver={handleDragOver}
+      onDragLeave={(e) => {
+        if (!e.currentTarget.contains(e.relatedTarget)) setIsDragOver(false);
+      }}
+      onDrop={handleDrop}
+    >
+      {isDragOver && (
+        <div className="absolute inset-0 z-20 flex items-center justify-center bg-blue-900 bg-opacity-60 border-2 border-dashed border-blue-300 pointer-events-none">
+          <p className="text-white text-sm">Drop files to upload them to {cwd || 'the host'}</p>
+        </div>
+      )}
+      
+      {hostKeyPrompt && (
+        <div className="absolute inset-0 z-10 flex items-center justify-center bg-black bg-opacity-70">
+          <div className="bg-white text-gray-800 rounded-lg shadow-lg p-4 max-w-md w-full mx-2">
+            <h3 className="text-sm font-semibold mb-2">Unknown host key</h3>
+            <p className="text-xs mb-2">
+              The authenticity of host <span className="font-mono">{hostKeyPrompt.host}:{hostKeyPrompt.port}</span> can&apos;t be established.
+            </p>
+            <p className="text-xs mb-1">{hostKeyPrompt.keyType} key fingerprint is:</p>
+            <p className="font-mono text-xs bg-gray-100 p-2 rounded break-all mb-3">{hostKeyPrompt.fingerprint}</p>
+            <p className="text-xs mb-3">Only continue if this matches the fingerprint you expect for this server.</p>
+            <div className="flex justify-end space-x-2">
+              <button
+                onClick={() => respondToHostKey(false)}
+                className="bg-gray-500 text-white px-3 py-1 rounded text-xs hover:bg-gray-600"
+              >
+                Reject
+              </button>
+              <button
+                onClick={() => respondToHostKey(true)}
+                className="bg-blue-600 text-white px-3 py-1 rounded text-xs hover:bg-blue-700"
+              >
+                Trust and connect
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+      
+      {authPrompt && (
+        <div className="absolute inset-0 z-10 flex items-center justify-center bg-black bg-opacity-70">
+          <form
+            className="bg-white text-gray-800 rounded-lg shadow-lg p-4 max-w-md w-full mx-2"
+            onSubmit={(e) => {
+              e.preventDefault();
+              respondToAuthPrompt(false);
+            }}
+          >
+            <h3 className="text-sm font-semibold mb-1">{authPrompt.name || 'Authentication required'}</h3>
+            <p className="text-xs text-gray-500 mb-2">
+              {authPrompt.username}@{authPrompt.host}:{authPrompt.port}
+              {authPrompt.attempt > 1 && ` - attempt ${authPrompt.attempt} of ${authPrompt.maxAttempts}`}
+            </p>
+            {authPrompt.instructions && (
+              <p className="text-xs mb-2 whitespace-pre-wrap">{authPrompt.instructions}</p>
+            )}
+            {authPrompt.prompts.map((prompt, index) => (
+              <label key={index} className="block mb-2">
+                <span className="block text-xs mb-1">{prompt.prompt}</span>
+                <input
+                  type={prompt.echo ? 'text' : 'password'}
+                  value={authAnswers[index] || ''}
+                  onChange={(e) => {
+                    const value = e.target.value;
+                    setAuthAnswers(prev => prev.map((answer, i) => (i === index ? value : answer)));
+                  }}
+                  className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+                  autoComplete={prompt.echo ? 'one-time-code' : 'current-password'}
+                  autoFocus={index === 0}
+                />
+              </label>
+            ))}
+            <p className="text-xs text-gray-500 mb-3">
+              This prompt expires after {Math.round(authPrompt.timeout / 1000)} seconds.
+            </p>
+            <div className="flex justify-end space-x-2">
+              <button
+                type="button"
+                onClick={() => respondToAuthPrompt(true)}
+                className="bg-gray-500 text-white px-3 py-1 rounded text-xs hover:bg-gray-600"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="bg-blue-600 text-white px-3 py-1 rounded text-xs hover:bg-blue-700"
+              >
+                Submit
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+      
+      {reconnectState && (
+        <div className="bg-yellow-100 border-l-4 border-yellow-500 text-yellow-800 p-2 mb-2 text-sm">
+          <p>
+            Connection lost ({reconnectState.reason}). Reconnecting in {Math.round(reconnectState.delay / 1000)}s
+            {' '}(attempt {reconnectState.attempt} of {reconnectState.maxAttempts})...
+          </p>
+        </div>
+      )}
+      
+      {uploadState && (
+        <div className={`border-l-4 p-2 mb-2 text-sm ${uploadState.isError ? 'bg-red-100 border-red-500 text-red-700' : 'bg-blue-50 border-blue-500 text-blue-800'}`}>
+          <p>
+            {uploadState.text}
+            {!uploadState.done && ` (${uploadState.percent}%)`}
+          </p>
+        </div>
+      )}
+      
+      {zmodemState && (
+        <div className={`border-l-4 p-2 mb-2 text-sm flex items-center gap-2 ${zmodemState.isError ? 'bg-red-100 border-red-500 text-red-700' : 'bg-blue-50 border-blue-500 text-blue-800'}`}>
+          <p className="flex-1">
+            {zmodemState.text}
+            {!zmodemState.done && zmodemState.percent != null && ` (${zmodemState.percent}%)`}
+          </p>
+          {zmodemState.waitingForFiles && (
+            <>
+              <input ref={zmodemInputRef} type="file" multiple className="hidden" onChange={handleZmodemFiles} />
+              <button
+                onClick={() => zmodemInputRef.current && zmodemInputRef.current.click()}
+                className="bg-blue-600 text-white px-3 py-1 rounded text-xs hover:bg-blue-700"
+              >
+                Choose files
+              </button>
+            </>
+          )}
+          {!zmodemState.done && (
+            <button
+              onClick={cancelZmodem}
+              className="bg-gray-500 text-white px-3 py-1 rounded text-xs hover:bg-gray-600"
+            >
+              Cancel
+            </button>
+          )}
+        </div>
+      )}
+      
       {error && (
         <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-2 mb-2 text-sm">
           <p>{error}</p>
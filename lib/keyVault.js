@@ -0,0 +1,39 @@
+// Read-only access to the SSH keys stored through /api/keys
+// Written as CommonJS so the Express gateway can resolve stored keys by ID.
+
+const path = require('path');
+const low = require('lowdb');
+const FileSync = require('lowdb/adapters/FileSync');
+const { jwtVerify } = require('jose');
+
+// Same database file used by pages/api/keys.js (this module never writes to it)
+const adapter = new FileSync(path.join(process.cwd(), 'db.json'));
+const db = low(adapter);
+
+// Get and decrypt a stored private key
+async function getStoredPrivateKey(keyId) {
+  // Re-read the file so keys added through the Next API are visible
+  db.read();
+
+  const key = db.get('keys').find({ id: keyId }).value();
+  if (!key) {
+    throw new Error('SSH key not found');
+  }
+
+  const secret = process.env.JWT_SECRET || db.get('secretKey').value();
+  if (!secret) {
+    throw new Error('Key vault secret is not configured');
+  }
+
+  try {
+    const { payload } = await jwtVerify(key.encryptedKey, new TextEncoder().encode(secret));
+    return payload.privateKey;
+  } catch (err) {
+    console.error(`Error decrypting SSH key ${keyId}:`, err);
+    throw new Error('Failed to decrypt SSH key');
+  }
+}
+
+module.exports = {
+  getStoredPrivateKey
+};
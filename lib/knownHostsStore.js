@@ -0,0 +1,127 @@
+// Known hosts storage for SSH host key verification
+// Uses LowDB for file-based persistence, keyed by host:port.
+// Written as CommonJS so both the Express gateway and the Next API routes can load it.
+
+const path = require('path');
+const crypto = require('crypto');
+const low = require('lowdb');
+const FileSync = require('lowdb/adapters/FileSync');
+
+// Configure LowDB for persistent storage of trusted host keys
+const adapter = new FileSync(path.join(process.cwd(), 'known_hosts.json'));
+const db = low(adapter);
+
+// Initialize the database with default structure
+db.defaults({ hosts: [] }).write();
+
+// Build the lookup key for a host entry
+function hostKeyId(host, port) {
+  return `${host}:${parseInt(port, 10) || 22}`;
+}
+
+// Compute an OpenSSH-style SHA256 fingerprint from a raw public key blob
+function fingerprintKey(keyBlob) {
+  const digest = crypto.createHash('sha256').update(keyBlob).digest('base64');
+  return `SHA256:${digest.replace(/=+$/, '')}`;
+}
+
+// Read the key type (e.g. ssh-ed25519) from the start of a raw public key blob
+function getKeyType(keyBlob) {
+  try {
+    const length = keyBlob.readUInt32BE(0);
+    return keyBlob.slice(4, 4 + length).toString('ascii');
+  } catch (err) {
+    return 'unknown';
+  }
+}
+
+// Parse an OpenSSH public key line ("ssh-ed25519 AAAA... comment") into a raw blob
+function parsePublicKeyLine(line) {
+  const parts = String(line || '').trim().split(/\s+/);
+  if (parts.length < 2) {
+    throw new Error('Invalid public key format');
+  }
+
+  const keyBlob = Buffer.from(parts[1], 'base64');
+  if (!keyBlob.length || getKeyType(keyBlob) !== parts[0]) {
+    throw new Error('Invalid public key format');
+  }
+
+  return keyBlob;
+}
+
+// Get the trusted entry for a host, if any
+function getKnownHost(host, port) {
+  return db.get('hosts').find({ id: hostKeyId(host, port) }).value();
+}
+
+// Get all trusted host entries
+function getAllKnownHosts() {
+  return db.get('hosts')
+    .orderBy(['host', 'port'], ['asc', 'asc'])
+    .value();
+}
+
+// Store (or replace) the trusted key for a host
+// Either keyBlob (raw public key) or fingerprint must be given.
+function trustHost(host, port, { keyBlob, fingerprint, keyType, source = 'tofu' }) {
+  const id = hostKeyId(host, port);
+  const entry = {
+    id,
+    host,
+    port: parseInt(port, 10) || 22,
+    keyType: keyBlob ? getKeyType(keyBlob) : (keyType || 'unknown'),
+    fingerprint: keyBlob ? fingerprintKey(keyBlob) : fingerprint,
+    publicKey: keyBlob ? keyBlob.toString('base64') : null,
+    source,
+    addedAt: new Date().toISOString()
+  };
+
+  if (!entry.fingerprint || !entry.fingerprint.startsWith('SHA256:')) {
+    throw new Error('A SHA256 fingerprint or public key is required');
+  }
+
+  db.get('hosts').remove({ id }).write();
+  db.get('hosts').push(entry).write();
+
+  return entry;
+}
+
+// Remove the trusted key for a host
+function revokeHost(host, port) {
+  const id = hostKeyId(host, port);
+  const existing = db.get('hosts').find({ id }).value();
+  if (!existing) {
+    return false;
+  }
+
+  db.get('hosts').remove({ id }).write();
+  return true;
+}
+
+// Check a presented host key against the store
+// Returns { status: 'trusted' | 'unknown' | 'mismatch', fingerprint, keyType, known }
+function checkHostKey(host, port, keyBlob) {
+  const fingerprint = fingerprintKey(keyBlob);
+  const keyType = getKeyType(keyBlob);
+  const known = getKnownHost(host, port);
+
+  if (!known) {
+    return { status: 'unknown', fingerprint, keyType, known: null };
+  }
+
+  const status = known.fingerprint === fingerprint ? 'trusted' : 'mismatch';
+  return { status, fingerprint, keyType, known };
+}
+
+module.exports = {
+  hostKeyId,
+  fingerprintKey,
+  getKeyType,
+  parsePublicKeyLine,
+  getKnownHost,
+  getAllKnownHosts,
+  trustHost,
+  revokeHost,
+  checkHostKey
+};
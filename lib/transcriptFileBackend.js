@@ -0,0 +1,204 @@
+// Filesystem storage backend for the transcript store
+// Logs and recordings are files named <id>.log and <id>.cast in one directory; metadata is
+// the { transcripts: [...] } list in terminal_transcripts.json.
+// The gateway and the Next API routes may both change the metadata file, so no copy of it is
+// kept in memory: every save re-reads the file and applies the changes made since the last
+// one. Saves are made one at a time, and written to a temporary file that is then renamed
+// so the file is never seen half written.
+// Written as CommonJS so both the Express gateway and the Next API routes can load it.
+
+const fs = require('fs');
+const path = require('path');
+
+// Data kinds and their file extensions
+const DATA_EXTENSIONS = { log: '.log', cast: '.cast' };
+
+// Apply one pending change to a metadata list
+function applyChange(list, id, change) {
+  const index = list.findIndex(entry => entry.id === id);
+  if (change.deleted) {
+    if (index >= 0) list.splice(index, 1);
+  } else if (change.entry) {
+    if (index >= 0) {
+      list[index] = { ...change.entry };
+    } else {
+      list.push({ ...change.entry });
+    }
+  } else if (index >= 0) {
+    list[index] = { ...list[index], ...change.fields };
+  }
+}
+
+// Create a backend that keeps transcripts in dir and their metadata in metadataPath
+function createFileBackend({ dir, metadataPath }) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  if (!fs.existsSync(metadataPath)) {
+    fs.writeFileSync(metadataPath, JSON.stringify({ transcripts: [] }), 'utf8');
+  }
+
+  // Metadata changes not saved yet, by transcript ID: { entry }, { fields } or { deleted }
+  let pending = new Map();
+  let currentSave = null;
+  let queuedSave = null;
+  const stats = { saves: 0, lastSaveAt: null, lastSaveMs: 0, errors: 0 };
+
+  const dataPath = (id, kind) => {
+    if (!DATA_EXTENSIONS[kind]) {
+      throw new Error(`Unknown transcript data kind: ${kind}`);
+    }
+    return path.join(dir, `${id}${DATA_EXTENSIONS[kind]}`);
+  };
+
+  const readMetadataFile = async () => {
+    try {
+      const json = JSON.parse(await fs.promises.readFile(metadataPath, 'utf8'));
+      return Array.isArray(json.transcripts) ? json.transcripts : [];
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error('Error loading transcript metadata:', err);
+      }
+      return [];
+    }
+  };
+
+  const saveMetadata = async () => {
+    const changes = pending;
+    pending = new Map();
+    if (changes.size === 0) return;
+
+    const started = Date.now();
+    try {
+      const list = await readMetadataFile();
+      changes.forEach((change, id) => applyChange(list, id, change));
+
+      const tempPath = `${metadataPath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempPath, JSON.stringify({ transcripts: list }, null, 2), 'utf8');
+      await fs.promises.rename(tempPath, metadataPath);
+
+      stats.saves++;
+      stats.lastSaveAt = new Date().toISOString();
+      stats.lastSaveMs = Date.now() - started;
+    } catch (err) {
+      stats.errors++;
+      console.error('Error saving transcript metadata:', err);
+      // Keep the changes for the next save unless newer ones replaced them
+      changes.forEach((change, id) => {
+        if (!pending.has(id)) pending.set(id, change);
+      });
+      throw err;
+    }
+  };
+
+  // Save after the save in progress; changes made meanwhile share one save
+  const scheduleSave = () => {
+    if (!queuedSave) {
+      const previous = currentSave ? currentSave.catch(() => {}) : Promise.resolve();
+      queuedSave = previous.then(() => {
+        queuedSave = null;
+        currentSave = saveMetadata().finally(() => {
+          currentSave = null;
+        });
+        return currentSave;
+      });
+    }
+    return queuedSave;
+  };
+
+  const queueChange = (id, change) => {
+    const existing = pending.get(id);
+    if (change.fields && existing && !existing.deleted) {
+      // Field updates merge into what is already waiting
+      if (existing.entry) {
+        pending.set(id, { entry: { ...existing.entry, ...change.fields } });
+      } else {
+        pending.set(id, { fields: { ...existing.fields, ...change.fields } });
+      }
+    } else if (!(change.fields && existing && existing.deleted)) {
+      pending.set(id, change);
+    }
+    return scheduleSave();
+  };
+
+  const listMetadata = async () => {
+    const list = await readMetadataFile();
+    pending.forEach((change, id) => applyChange(list, id, change));
+    return list;
+  };
+
+  return {
+    name: 'file',
+
+    listMetadata,
+
+    async getMetadata(id) {
+      const list = await listMetadata();
+      return list.find(entry => entry.id === id) || null;
+    },
+
+    putMetadata(entry) {
+      return queueChange(entry.id, { entry: { ...entry } });
+    },
+
+    updateMetadata(id, fields) {
+      return queueChange(id, { fields: { ...fields } });
+    },
+
+    deleteMetadata(id) {
+      return queueChange(id, { deleted: true });
+    },
+
+    async writeData(id, kind, text) {
+      await fs.promises.writeFile(dataPath(id, kind), text, 'utf8');
+    },
+
+    async appendData(id, kind, text) {
+      await fs.promises.appendFile(dataPath(id, kind), text, 'utf8');
+    },
+
+    async readData(id, kind) {
+      try {
+        return await fs.promises.readFile(dataPath(id, kind), 'utf8');
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    async deleteData(id, kind) {
+      try {
+        await fs.promises.unlink(dataPath(id, kind));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+    },
+
+    async hasData(id, kind) {
+      try {
+        await fs.promises.access(dataPath(id, kind));
+        return true;
+      } catch (err) {
+        return false;
+      }
+    },
+
+    getStats() {
+      return {
+        ...stats,
+        savePending: !!(currentSave || queuedSave)
+      };
+    },
+
+    // Wait for metadata changes to be saved
+    async close() {
+      while (queuedSave || currentSave) {
+        await (queuedSave || currentSave).catch(() => {});
+      }
+    }
+  };
+}
+
+module.exports = {
+  createFileBackend
+};
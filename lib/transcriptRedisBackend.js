@@ -0,0 +1,162 @@
+// Redis storage backend for the transcript store
+// Keys (all under the prefix, "transcripts:" by default):
+//   meta:<id>   hash with the transcript's metadata fields
+//   index       sorted set of transcript IDs, scored by creation time
+//   log:<id>    the text log, grown with APPEND
+//   cast:<id>   the asciicast recording, grown with APPEND
+// Written as CommonJS so both the Express gateway and the Next API routes can load it.
+
+// Data kinds stored under their own keys
+const DATA_KINDS = ['log', 'cast'];
+
+// Set hash fields only if the hash exists, in one step so a delete can't land in between
+const UPDATE_IF_EXISTS_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 1 then
+  return redis.call('HSET', KEYS[1], unpack(ARGV))
+end
+return 0
+`;
+
+// Redis hashes hold strings; leave out fields without a value
+function toHash(fields) {
+  const hash = {};
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      hash[key] = String(value);
+    }
+  });
+  return hash;
+}
+
+// Create a backend on the Redis server at url (REDIS_URL, or the client's default of localhost:6379)
+function createRedisBackend({ url = process.env.REDIS_URL, prefix = process.env.TRANSCRIPT_REDIS_PREFIX || 'transcripts:' } = {}) {
+  // Loaded here so the file backend works without a Redis client configured
+  const { createClient } = require('redis');
+
+  let client = null;
+  let connecting = null;
+
+  // Connect on first use; a failed connection is retried by the next call
+  const getClient = () => {
+    if (!connecting) {
+      client = createClient(url ? { url } : {});
+      client.on('error', (err) => {
+        console.error('Transcript store Redis error:', err.message);
+      });
+      connecting = client.connect()
+        .then(() => {
+          console.log(`Transcript store connected to Redis${url ? ` at ${url.replace(/\/\/[^@]*@/, '//')}` : ''}`);
+          return client;
+        })
+        .catch((err) => {
+          connecting = null;
+          client = null;
+          throw err;
+        });
+    }
+    return connecting;
+  };
+
+  const metaKey = id => `${prefix}meta:${id}`;
+  const indexKey = `${prefix}index`;
+  const dataKey = (id, kind) => {
+    if (!DATA_KINDS.includes(kind)) {
+      throw new Error(`Unknown transcript data kind: ${kind}`);
+    }
+    return `${prefix}${kind}:${id}`;
+  };
+
+  return {
+    name: 'redis',
+
+    async listMetadata() {
+      const redis = await getClient();
+      const ids = await redis.zRange(indexKey, 0, -1);
+      if (!ids.length) return [];
+
+      const multi = redis.multi();
+      ids.forEach(id => multi.hGetAll(metaKey(id)));
+      const entries = await multi.exec();
+      return entries.filter(entry => entry && entry.id);
+    },
+
+    async getMetadata(id) {
+      const redis = await getClient();
+      const entry = await redis.hGetAll(metaKey(id));
+      return entry && entry.id ? entry : null;
+    },
+
+    async putMetadata(entry) {
+      const redis = await getClient();
+      await redis.multi()
+        .del(metaKey(entry.id))
+        .hSet(metaKey(entry.id), toHash(entry))
+        .zAdd(indexKey, { score: Date.parse(entry.createdAt) || Date.now(), value: entry.id })
+        .exec();
+    },
+
+    // Only existing entries are updated, so a late update can't bring back a deleted transcript
+    async updateMetadata(id, fields) {
+      const args = Object.entries(toHash(fields)).flat();
+      if (!args.length) return;
+
+      const redis = await getClient();
+      await redis.eval(UPDATE_IF_EXISTS_SCRIPT, { keys: [metaKey(id)], arguments: args });
+    },
+
+    async deleteMetadata(id) {
+      const redis = await getClient();
+      await redis.multi()
+        .del(metaKey(id))
+        .zRem(indexKey, id)
+        .exec();
+    },
+
+    async writeData(id, kind, text) {
+      const redis = await getClient();
+      await redis.set(dataKey(id, kind), text);
+    },
+
+    async appendData(id, kind, text) {
+      const redis = await getClient();
+      await redis.append(dataKey(id, kind), text);
+    },
+
+    async readData(id, kind) {
+      const redis = await getClient();
+      return redis.get(dataKey(id, kind));
+    },
+
+    async deleteData(id, kind) {
+      const redis = await getClient();
+      await redis.del(dataKey(id, kind));
+    },
+
+    async hasData(id, kind) {
+      const redis = await getClient();
+      return (await redis.exists(dataKey(id, kind))) === 1;
+    },
+
+    getStats() {
+      return {
+        prefix,
+        connected: !!(client && client.isReady)
+      };
+    },
+
+    async close() {
+      if (connecting) {
+        const redis = await connecting.catch(() => null);
+        connecting = null;
+        client = null;
+        if (redis) {
+          await redis.quit();
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  createRedisBackend
+};
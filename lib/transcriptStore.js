@@ -1,113 +1,361 @@
 // Transcript storage for terminal sessions
-// Uses LowDB for file-based persistence
+// Used by both the Express gateway and the Next API routes (written as CommonJS so both can
+// load it), so they always agree about which transcripts exist.
+// A transcript is a session's metadata (host, user, times), its text log and its asciicast
+// recording. Where they are kept is up to a storage backend, chosen with TRANSCRIPT_STORE:
+//   file  (default) files in transcripts/ and terminal_transcripts.json, see transcriptFileBackend
+//   redis the Redis server at REDIS_URL, see transcriptRedisBackend
+// Logs and recordings of open transcripts are written through per-session queues (see
+// transcriptWriter), and lastUpdatedAt changes are saved at most once per METADATA_SAVE_DELAY.
+//
+// A backend is an object with these methods, all returning promises:
+//   listMetadata()               all metadata entries
+//   getMetadata(id)              one entry, or null
+//   putMetadata(entry)           add or replace an entry
+//   updateMetadata(id, fields)   change fields of an existing entry (nothing if it's gone)
+//   deleteMetadata(id)
+//   writeData(id, kind, text)    create or replace a transcript's 'log' or 'cast' data
+//   appendData(id, kind, text)
+//   readData(id, kind)           the data, or null if there is none
+//   deleteData(id, kind)
+//   hasData(id, kind)
+//   close()                      finish pending work
+// plus a name and getStats() for metrics.
 
-import path from 'path';
-import fs from 'fs';
-import low from 'lowdb';
-import FileSync from 'lowdb/adapters/FileSync';
+const path = require('path');
+const transcriptWriter = require('./transcriptWriter');
+const { createFileBackend } = require('./transcriptFileBackend');
+const { createRedisBackend } = require('./transcriptRedisBackend');
 
-// Configure LowDB for persistent storage of transcript metadata
-const adapter = new FileSync(path.join(process.cwd(), 'terminal_transcripts.json'));
-const db = low(adapter);
+// How long lastUpdatedAt changes are collected before they are saved
+const METADATA_SAVE_DELAY = 1000;
 
-// Initialize the database with default structure
-db.defaults({ transcripts: [] }).write();
-
-// Get the transcript directory path
-const transcriptDir = path.join(process.cwd(), 'transcripts');
+// Transcript IDs are session IDs; anything else could reach outside the backend's namespace
+function isValidTranscriptId(id) {
+  return typeof id === 'string' && /^[\w-]+$/.test(id);
+}
 
-// Create the transcripts directory if it doesn't exist
-if (!fs.existsSync(transcriptDir)) {
-  fs.mkdirSync(transcriptDir, { recursive: true });
+// Create the backend selected by TRANSCRIPT_STORE
+// dir and metadataPath are used by the file backend (default: under the working directory)
+function createBackendFromEnv({ dir, metadataPath } = {}) {
+  const type = (process.env.TRANSCRIPT_STORE || 'file').toLowerCase();
+  if (type === 'redis') {
+    return createRedisBackend();
+  }
+  if (type !== 'file') {
+    console.warn(`Unknown TRANSCRIPT_STORE "${type}", keeping transcripts in files`);
+  }
+  return createFileBackend({
+    dir: dir || path.join(process.cwd(), 'transcripts'),
+    metadataPath: metadataPath || path.join(process.cwd(), 'terminal_transcripts.json')
+  });
 }
 
-// Create a new transcript record
-export function createTranscript(sessionId, sessionInfo) {
-  const timestamp = new Date().toISOString();
-  const filename = `${sessionId}.log`;
-  const filePath = path.join(transcriptDir, filename);
-  
-  // Create transcript metadata
-  const transcript = {
-    id: sessionId,
-    filename,
-    host: sessionInfo.host,
-    username: sessionInfo.username,
-    createdAt: timestamp,
-    lastUpdatedAt: timestamp,
+// Create a transcript store
+// Options: { backend, dir, metadataPath, onBackpressure(sessionId, paused) }; without a backend
+// one is created from the environment. onBackpressure asks the owner of a session to pause its
+// output while storage can't keep up with the session's transcript.
+function createTranscriptStore({ backend, dir, metadataPath, onBackpressure } = {}) {
+  const storage = backend || createBackendFromEnv({ dir, metadataPath });
+
+  // Transcripts being written, by session ID: { metadata, log, cast, pausedWriters }
+  const openTranscripts = new Map();
+
+  // Work still finishing after a transcript was closed, by session ID
+  const tails = new Map();
+
+  // Deletions in progress, by session ID
+  // A transcript started again while its old one is being deleted (a running session keeps
+  // writing) stores nothing until the deletion has finished, so the deletion can't remove it.
+  const deletions = new Map();
+  const afterDeletion = sessionId => deletions.get(sessionId) || Promise.resolve();
+
+  // lastUpdatedAt values not saved yet, by session ID
+  const touched = new Map();
+  let touchTimer = null;
+
+  // Run storage work for a transcript after the work already started for it
+  const queueTail = (sessionId, task) => {
+    const previous = tails.get(sessionId) || Promise.resolve();
+    const next = previous.then(task).catch((err) => {
+      console.error(`Error writing transcript for session ${sessionId}:`, err.message);
+    });
+    tails.set(sessionId, next);
+    next.then(() => {
+      if (tails.get(sessionId) === next) {
+        tails.delete(sessionId);
+      }
+    });
+    return next;
   };
-  
-  // Add header to transcript file
-  const header = `# Terminal Transcript\n# Session ID: ${sessionId}\n# Host: ${sessionInfo.host}\n# User: ${sessionInfo.username}\n# Started: ${timestamp}\n\n`;
-  fs.writeFileSync(filePath, header, 'utf8');
-  
-  // Save transcript metadata to database
-  db.get('transcripts')
-    .push(transcript)
-    .write();
-    
-  return transcript;
-}
 
-// Append to an existing transcript
-export function appendToTranscript(sessionId, source, data) {
-  const timestamp = new Date().toISOString();
-  const filePath = path.join(transcriptDir, `${sessionId}.log`);
-  
-  if (!fs.existsSync(filePath)) {
-    console.error(`Transcript file not found for session ${sessionId}`);
-    return false;
-  }
-  
-  // Format the data with timestamp and direction indicator
-  const formattedData = `[${timestamp}] [${source}] ${data.replace(/\r/g, '\\r').replace(/\n/g, '\\n')}\n`;
-  
-  // Append to transcript file
-  fs.appendFileSync(filePath, formattedData, 'utf8');
-  
-  // Update last updated timestamp
-  db.get('transcripts')
-    .find({ id: sessionId })
-    .assign({ lastUpdatedAt: timestamp })
-    .write();
-    
-  return true;
-}
+  const saveTouched = () => {
+    if (touchTimer) {
+      clearTimeout(touchTimer);
+      touchTimer = null;
+    }
+    const updates = [...touched.entries()];
+    touched.clear();
+    return Promise.all(updates.map(([sessionId, lastUpdatedAt]) => storage.updateMetadata(sessionId, { lastUpdatedAt })
+      .catch(err => console.error(`Error saving transcript metadata for session ${sessionId}:`, err.message))));
+  };
 
-// Get transcript metadata
-export function getTranscriptMetadata(sessionId) {
-  return db.get('transcripts')
-    .find({ id: sessionId })
-    .value();
-}
+  const touch = (sessionId, timestamp) => {
+    touched.set(sessionId, timestamp);
+    if (!touchTimer) {
+      touchTimer = setTimeout(saveTouched, METADATA_SAVE_DELAY);
+    }
+  };
 
-// Get transcript content
-export function getTranscriptContent(sessionId) {
-  const filePath = path.join(transcriptDir, `${sessionId}.log`);
-  
-  if (!fs.existsSync(filePath)) {
-    return null;
-  }
-  
-  return fs.readFileSync(filePath, 'utf8');
-}
+  // Open a queued writer for one kind of a transcript's data; its first batch replaces
+  // whatever was stored before
+  const openWriter = (record, kind) => {
+    const sessionId = record.metadata.id;
+    const ready = afterDeletion(sessionId);
+    let created = false;
+    return transcriptWriter.createTranscriptWriter((batch) => {
+      if (!created) {
+        created = true;
+        return ready.then(() => storage.writeData(sessionId, kind, batch));
+      }
+      return storage.appendData(sessionId, kind, batch);
+    }, {
+      label: `${sessionId}.${kind}`,
+      // The session is paused while any of its writers is behind
+      onBackpressure: (paused) => {
+        const wasPaused = record.pausedWriters.size > 0;
+        if (paused) {
+          record.pausedWriters.add(kind);
+        } else {
+          record.pausedWriters.delete(kind);
+        }
+        const isPaused = record.pausedWriters.size > 0;
+        if (onBackpressure && isPaused !== wasPaused) {
+          onBackpressure(sessionId, isPaused);
+        }
+      }
+    });
+  };
+
+  // Flush and stop the writers of a transcript; later lines are added after they finish
+  const closeTranscript = (sessionId) => {
+    const record = openTranscripts.get(sessionId);
+    if (!record) {
+      return tails.get(sessionId) || Promise.resolve();
+    }
+    openTranscripts.delete(sessionId);
+    return queueTail(sessionId, () => Promise.all([record.log.close(), record.cast && record.cast.close()]));
+  };
+
+  // Resolves once everything appended to a transcript so far has been stored
+  const flushTranscript = (sessionId) => {
+    const record = openTranscripts.get(sessionId);
+    return Promise.all([
+      record && record.log.flush(),
+      record && record.cast && record.cast.flush(),
+      tails.get(sessionId)
+    ]);
+  };
 
-// Get all transcripts
-export function getAllTranscripts() {
-  return db.get('transcripts')
-    .orderBy(['lastUpdatedAt'], ['desc'])
-    .value();
+  return {
+    // Start the transcript of a session (replacing any earlier one with the same ID)
+    // Returns its metadata; the log header and metadata are stored in the background.
+    createTranscript(sessionId, { host, username }) {
+      if (!isValidTranscriptId(sessionId)) {
+        throw new Error(`Invalid transcript ID: ${sessionId}`);
+      }
+      if (openTranscripts.has(sessionId)) {
+        return openTranscripts.get(sessionId).metadata;
+      }
+
+      const timestamp = new Date().toISOString();
+      const metadata = {
+        id: sessionId,
+        filename: `${sessionId}.log`,
+        recording: `${sessionId}.cast`,
+        host,
+        username,
+        createdAt: timestamp,
+        lastUpdatedAt: timestamp
+      };
+      const record = { metadata, log: null, cast: null, pausedWriters: new Set() };
+      record.log = openWriter(record, 'log');
+      openTranscripts.set(sessionId, record);
+
+      // Add header to transcript log
+      record.log.append(`# Terminal Transcript\n# Session ID: ${sessionId}\n# Host: ${host}\n# User: ${username}\n# Started: ${timestamp}\n\n`);
+      afterDeletion(sessionId)
+        .then(() => storage.putMetadata(metadata))
+        .catch(err => console.error(`Error saving transcript metadata for session ${sessionId}:`, err.message));
+
+      return metadata;
+    },
+
+    // Open the recording of a transcript started with createTranscript
+    // Returns a writer ({ append(text), close() }) for the asciicast lines
+    openRecording(sessionId) {
+      const record = openTranscripts.get(sessionId);
+      if (!record) {
+        throw new Error(`Transcript for session ${sessionId} is not open`);
+      }
+      if (!record.cast) {
+        record.cast = openWriter(record, 'cast');
+      }
+      return record.cast;
+    },
+
+    isOpen(sessionId) {
+      return openTranscripts.has(sessionId);
+    },
+
+    // Add a line to a transcript log
+    // Lines for transcripts that are no longer open are added to the stored log, if it still exists.
+    appendToTranscript(sessionId, source, data) {
+      if (!isValidTranscriptId(sessionId)) {
+        return false;
+      }
+
+      const timestamp = new Date().toISOString();
+      // Format the data with timestamp and direction indicator
+      const formattedData = `[${timestamp}] [${source}] ${String(data).replace(/\r/g, '\\r').replace(/\n/g, '\\n')}\n`;
+
+      const record = openTranscripts.get(sessionId);
+      if (record) {
+        record.log.append(formattedData);
+        record.metadata.lastUpdatedAt = timestamp;
+      } else {
+        queueTail(sessionId, async () => {
+          if (await storage.hasData(sessionId, 'log')) {
+            await storage.appendData(sessionId, 'log', formattedData);
+          }
+        });
+      }
+
+      touch(sessionId, timestamp);
+      return true;
+    },
+
+    closeTranscript,
+
+    flushTranscript,
+
+    getTranscriptMetadata(sessionId) {
+      if (!isValidTranscriptId(sessionId)) {
+        return Promise.resolve(null);
+      }
+      return storage.getMetadata(sessionId);
+    },
+
+    // All transcripts, most recently updated first
+    async getAllTranscripts() {
+      const transcripts = await storage.listMetadata();
+      return transcripts.sort((a, b) => String(b.lastUpdatedAt).localeCompare(String(a.lastUpdatedAt)));
+    },
+
+    // Log of a transcript (including lines still queued), or null
+    async getTranscriptContent(sessionId) {
+      if (!isValidTranscriptId(sessionId)) {
+        return null;
+      }
+      await flushTranscript(sessionId);
+      return storage.readData(sessionId, 'log');
+    },
+
+    // asciicast recording of a transcript (up to its latest event), or null
+    async getRecording(sessionId) {
+      if (!isValidTranscriptId(sessionId)) {
+        return null;
+      }
+      await flushTranscript(sessionId);
+      return storage.readData(sessionId, 'cast');
+    },
+
+    // Delete a transcript's log, recording and metadata
+    // An open transcript is closed first; a running session that keeps writing starts a new
+    // one, which is stored once the deletion has finished.
+    async deleteTranscript(sessionId) {
+      if (!isValidTranscriptId(sessionId)) {
+        return false;
+      }
+      const closing = closeTranscript(sessionId);
+      touched.delete(sessionId);
+      const deletion = Promise.all([afterDeletion(sessionId), closing]).then(() => Promise.all([
+        storage.deleteData(sessionId, 'log'),
+        storage.deleteData(sessionId, 'cast'),
+        storage.deleteMetadata(sessionId)
+      ]));
+      // Later work for this ID waits for the deletion, whether or not it succeeds
+      const settled = deletion.catch(() => {});
+      deletions.set(sessionId, settled);
+      try {
+        await deletion;
+      } finally {
+        if (deletions.get(sessionId) === settled) {
+          deletions.delete(sessionId);
+        }
+      }
+      return true;
+    },
+
+    // How far behind the writers of open transcripts are, and the state of the backend
+    getMetrics() {
+      const writers = [];
+      openTranscripts.forEach((record, sessionId) => {
+        [record.log, record.cast].filter(Boolean).forEach((writer) => {
+          writers.push({ sessionId, ...writer.getMetrics() });
+        });
+      });
+      const totals = writers.reduce((sum, writer) => ({
+        queuedBytes: sum.queuedBytes + writer.queuedBytes,
+        bytesWritten: sum.bytesWritten + writer.bytesWritten,
+        eventsWritten: sum.eventsWritten + writer.eventsWritten,
+        writeErrors: sum.writeErrors + writer.writeErrors,
+        droppedEvents: sum.droppedEvents + writer.droppedEvents
+      }), { queuedBytes: 0, bytesWritten: 0, eventsWritten: 0, writeErrors: 0, droppedEvents: 0 });
+      totals.pausedSessions = [...openTranscripts.values()].filter(record => record.pausedWriters.size > 0).length;
+
+      return {
+        backend: storage.name,
+        limits: {
+          flushInterval: transcriptWriter.FLUSH_INTERVAL,
+          flushSize: transcriptWriter.FLUSH_SIZE,
+          highWaterMark: transcriptWriter.HIGH_WATER_MARK,
+          lowWaterMark: transcriptWriter.LOW_WATER_MARK,
+          metadataSaveDelay: METADATA_SAVE_DELAY
+        },
+        totals,
+        writers,
+        metadata: {
+          unsavedUpdates: touched.size,
+          ...(storage.getStats ? storage.getStats() : {})
+        }
+      };
+    },
+
+    // Store everything still queued (e.g. before the process exits)
+    async close() {
+      await Promise.all([...openTranscripts.keys()].map(closeTranscript));
+      await Promise.all([...tails.values(), ...deletions.values()]);
+      await saveTouched();
+      await storage.close();
+    }
+  };
 }
 
-// Delete a transcript
-export function deleteTranscript(sessionId) {
-  const filePath = path.join(transcriptDir, `${sessionId}.log`);
-  
-  if (fs.existsSync(filePath)) {
-    fs.unlinkSync(filePath);
+// Store shared by the Next API routes, using the backend selected by the environment
+let defaultStore = null;
+
+function getTranscriptStore() {
+  if (!defaultStore) {
+    defaultStore = createTranscriptStore();
   }
-  
-  return db.get('transcripts')
-    .remove({ id: sessionId })
-    .write();
+  return defaultStore;
 }
+
+module.exports = {
+  METADATA_SAVE_DELAY,
+  isValidTranscriptId,
+  createBackendFromEnv,
+  createTranscriptStore,
+  getTranscriptStore
+};
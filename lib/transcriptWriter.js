@@ -0,0 +1,194 @@
+// Buffered, asynchronous writes of session transcripts
+// Every output chunk of a session becomes a transcript line. Writing each one synchronously
+// blocks the event loop during heavy output (cat of a large file), so lines are queued per
+// session and written in batches: as soon as a batch reaches FLUSH_SIZE, otherwise after
+// FLUSH_INTERVAL, and whatever is left when the writer is flushed or closed. Only one write
+// per transcript is in flight at a time, so lines always land in order.
+// When storage falls behind and more than HIGH_WATER_MARK bytes are queued, the writer asks
+// its producer to pause (onBackpressure(true)) and lets it resume (onBackpressure(false))
+// once the queue is back under LOW_WATER_MARK.
+// Written as CommonJS so both the Express gateway and the Next API routes can load it.
+
+// How long queued lines wait for more before they are written (ms)
+const FLUSH_INTERVAL = parseInt(process.env.TRANSCRIPT_FLUSH_INTERVAL, 10) || 250;
+
+// Queued bytes that are written right away
+const FLUSH_SIZE = 64 * 1024;
+
+// Queued bytes (waiting plus being written) at which the producer is asked to pause, and below
+// which it may resume
+const HIGH_WATER_MARK = parseInt(process.env.TRANSCRIPT_HIGH_WATER_MARK, 10) || 4 * 1024 * 1024;
+const LOW_WATER_MARK = Math.floor(HIGH_WATER_MARK / 4);
+
+// Create a queued writer that hands batches of text to write(batch), which returns a promise
+// Options: { label (names the transcript in logs and metrics), onBackpressure(paused) }
+// Returns { append(text), flush(), close(), getMetrics() }; append returns false while the
+// producer should hold off, like a stream's write().
+function createTranscriptWriter(write, { label = 'transcript', onBackpressure } = {}) {
+  let pending = [];
+  let pendingBytes = 0;
+  let pendingEvents = 0;
+  let inFlightBytes = 0;
+  let currentWrite = null;
+  let timer = null;
+  let closing = null;
+  let paused = false;
+  let pausedSince = 0;
+
+  const metrics = {
+    eventsWritten: 0,
+    bytesWritten: 0,
+    batchesWritten: 0,
+    lastWriteMs: 0,
+    maxWriteMs: 0,
+    writeErrors: 0,
+    lastError: null,
+    droppedEvents: 0,
+    backpressureEvents: 0,
+    pausedMs: 0
+  };
+
+  const queuedBytes = () => pendingBytes + inFlightBytes;
+
+  const setPaused = (value) => {
+    if (paused === value) return;
+    paused = value;
+    if (value) {
+      pausedSince = Date.now();
+      metrics.backpressureEvents++;
+      console.warn(`Transcript ${label} is falling behind (${queuedBytes()} bytes queued), pausing its session`);
+    } else {
+      metrics.pausedMs += Date.now() - pausedSince;
+      console.log(`Transcript ${label} caught up after ${Date.now() - pausedSince}ms, resuming its session`);
+    }
+    if (onBackpressure) {
+      try {
+        onBackpressure(value);
+      } catch (err) {
+        console.error('Transcript backpressure handler failed:', err);
+      }
+    }
+  };
+
+  const clearTimer = () => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+  };
+
+  // Write everything queued so far as one batch
+  const writeBatch = () => {
+    clearTimer();
+    if (currentWrite || pendingBytes === 0) return;
+
+    const batch = pending.join('');
+    const events = pendingEvents;
+    inFlightBytes = pendingBytes;
+    pending = [];
+    pendingBytes = 0;
+    pendingEvents = 0;
+
+    const started = Date.now();
+    currentWrite = Promise.resolve()
+      .then(() => write(batch))
+      .then(() => {
+        metrics.eventsWritten += events;
+        metrics.bytesWritten += inFlightBytes;
+        metrics.batchesWritten++;
+      })
+      .catch((err) => {
+        // The batch is lost; later batches are still attempted
+        metrics.writeErrors++;
+        metrics.droppedEvents += events;
+        metrics.lastError = err.message;
+        console.error(`Error writing transcript ${label}:`, err.message);
+      })
+      .finally(() => {
+        metrics.lastWriteMs = Date.now() - started;
+        metrics.maxWriteMs = Math.max(metrics.maxWriteMs, metrics.lastWriteMs);
+        inFlightBytes = 0;
+        currentWrite = null;
+
+        if (paused && queuedBytes() <= LOW_WATER_MARK) {
+          setPaused(false);
+        }
+        // Lines that came in meanwhile go out now if there are enough of them, or after the usual wait
+        if (pendingBytes >= FLUSH_SIZE || (closing && pendingBytes > 0)) {
+          writeBatch();
+        } else if (pendingBytes > 0 && !timer) {
+          timer = setTimeout(writeBatch, FLUSH_INTERVAL);
+        }
+      });
+  };
+
+  // Resolves once everything appended so far has been written
+  const flush = async () => {
+    clearTimer();
+    while (pendingBytes > 0 || currentWrite) {
+      if (!currentWrite) {
+        writeBatch();
+      }
+      await currentWrite;
+    }
+  };
+
+  return {
+    append(text) {
+      if (closing) {
+        metrics.droppedEvents++;
+        console.error(`Transcript ${label} is closed, dropping a line`);
+        return false;
+      }
+
+      pending.push(text);
+      pendingBytes += Buffer.byteLength(text, 'utf8');
+      pendingEvents++;
+
+      if (pendingBytes >= FLUSH_SIZE) {
+        writeBatch();
+      } else if (!timer && !currentWrite) {
+        timer = setTimeout(writeBatch, FLUSH_INTERVAL);
+      }
+
+      if (!paused && queuedBytes() > HIGH_WATER_MARK) {
+        setPaused(true);
+      }
+      return !paused;
+    },
+
+    flush,
+
+    // Write what is left; appends after this are dropped
+    close() {
+      if (!closing) {
+        closing = flush()
+          .catch((err) => {
+            console.error(`Error closing transcript ${label}:`, err.message);
+          })
+          .finally(() => setPaused(false));
+      }
+      return closing;
+    },
+
+    getMetrics() {
+      return {
+        label,
+        queuedBytes: queuedBytes(),
+        queuedEvents: pendingEvents,
+        writing: !!currentWrite,
+        paused,
+        ...metrics,
+        pausedMs: metrics.pausedMs + (paused ? Date.now() - pausedSince : 0)
+      };
+    }
+  };
+}
+
+module.exports = {
+  FLUSH_INTERVAL,
+  FLUSH_SIZE,
+  HIGH_WATER_MARK,
+  LOW_WATER_MARK,
+  createTranscriptWriter
+};
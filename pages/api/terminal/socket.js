@@ -1,7 +1,11 @@
 import { Server } from 'socket.io';
 import { Client } from 'ssh2';
 import { getSession, setSession } from '../../../lib/sessionStore';
-import { createTranscript, appendToTranscript, getTranscriptMetadata } from '../../../lib/transcriptStore';
+import { getTranscriptStore } from '../../../lib/transcriptStore';
+import { checkHostKey, trustHost } from '../../../lib/knownHostsStore';
+
+// How long to wait for the user to answer a first-use host key prompt
+const HOST_KEY_PROMPT_TIMEOUT = 60000;
 
 // Create a demo terminal stream that doesn't require actual SSH
 function createDemoStream(isDemoFallback = false) {
@@ -135,8 +139,54 @@ function createDemoStream(isDemoFallback = false) {
   return stream;
 }
 
+// Verify the server's host key, prompting the client on first use
+function verifyHostKey(session, socket, keyBlob, verify) {
+  const port = session.port || 22;
+  const result = checkHostKey(session.host, port, keyBlob);
+  
+  if (result.status === 'trusted') {
+    return verify(true);
+  }
+  
+  if (result.status === 'mismatch') {
+    // A changed key is never accepted interactively - it must be revoked first
+    session.hostKeyError = `HOST KEY VERIFICATION FAILED: the host key for ${session.host}:${port} has changed ` +
+      `(expected ${result.known.fingerprint}, got ${result.fingerprint}). ` +
+      'This could mean someone is intercepting the connection. Revoke the stored key if the change is expected.';
+    return verify(false);
+  }
+  
+  // Unknown host - ask the client to trust it on first use
+  const timer = setTimeout(() => {
+    socket.off('hostkey-response', onResponse);
+    session.hostKeyError = 'Host key was not confirmed in time';
+    verify(false);
+  }, HOST_KEY_PROMPT_TIMEOUT);
+  
+  function onResponse(response) {
+    clearTimeout(timer);
+    const accept = !!(response && response.accept);
+    if (accept) {
+      trustHost(session.host, port, { keyBlob, source: 'tofu' });
+    } else {
+      session.hostKeyError = 'Host key was rejected';
+    }
+    socket.emit('hostkey-resolved', { accepted: accept });
+    verify(accept);
+  }
+  
+  socket.once('hostkey-response', onResponse);
+  socket.emit('hostkey-prompt', {
+    host: session.host,
+    port,
+    keyType: result.keyType,
+    fingerprint: result.fingerprint,
+    timeout: HOST_KEY_PROMPT_TIMEOUT
+  });
+}
+
 // Create SSH connection for the given session ID
-async function createSshConnection(sessionId) {
+async function createSshConnection(sessionId, socket) {
   // Access the persistent session store
   const session = getSession(sessionId);
   
@@ -173,10 +223,11 @@ async function createSshConnection(sessionId) {
         host: session.host,
         port: session.port,
         username: session.username,
-        // For development only - disable strict host key checking
         algorithms: {
           serverHostKey: ['ssh-rsa', 'ecdsa-sha2-nistp256', 'ssh-ed25519']
-        }
+        },
+        // Verify the server's host key against the known hosts store
+        hostVerifier: (keyBlob, verify) => verifyHostKey(session, socket, keyBlob, verify)
       };
       
       if (session.authMethod === 'password') {
@@ -207,7 +258,7 @@ async function createSshConnection(sessionId) {
       
       conn.on('error', (err) => {
         console.error(`[${new Date().toISOString()}] SSH connection error:`, err);
-        reject(err);
+        reject(session.hostKeyError ? new Error(session.hostKeyError) : err);
       });
       
       // Attempt to connect
@@ -330,12 +381,12 @@ export default function SocketHandler(req, res) {
       }
       
       try {
-        const stream = await createSshConnection(sessionId);
+        const stream = await createSshConnection(sessionId, socket);
         
         // Create a transcript for this session
         const session = getSession(sessionId);
         if (session) {
-          createTranscript(sessionId, session);
+          getTranscriptStore().createTranscript(sessionId, session);
         }
         
         // Forward SSH output to the client
@@ -347,7 +398,7 @@ export default function SocketHandler(req, res) {
           detectReplEnvironment(sessionId, output);
           
           // Record output to transcript
-          appendToTranscript(sessionId, 'OUTPUT', output);
+          getTranscriptStore().appendToTranscript(sessionId, 'OUTPUT', output);
         });
         
         stream.on('close', () => {
@@ -360,7 +411,7 @@ export default function SocketHandler(req, res) {
           socket.emit('error', errorText);
           
           // Record error output to transcript
-          appendToTranscript(sessionId, 'ERROR', errorText);
+          getTranscriptStore().appendToTranscript(sessionId, 'ERROR', errorText);
         });
         
         // Helper function to get session
@@ -409,7 +460,7 @@ export default function SocketHandler(req, res) {
                 // If we have a non-empty command, record it now
                 if (currentBuffer.trim()) {
                   console.log(`Recording complete REPL command: [${currentBuffer.trim()}]`);
-                  appendToTranscript(sessionId, 'REPL_COMMAND', currentBuffer.trim());
+                  getTranscriptStore().appendToTranscript(sessionId, 'REPL_COMMAND', currentBuffer.trim());
                   
                   // Mark as not pending anymore - command is recorded
                   global.PENDING_COMMANDS.set(sessionId, false);
@@ -449,7 +500,7 @@ export default function SocketHandler(req, res) {
                 // If we have a non-empty command, record it
                 if (currentBuffer.trim()) {
                   console.log(`Recording complete shell command: [${currentBuffer.trim()}]`);
-                  appendToTranscript(sessionId, 'COMMAND', currentBuffer.trim());
+                  getTranscriptStore().appendToTranscript(sessionId, 'COMMAND', currentBuffer.trim());
                   
                   // Clear pending flag
                   global.PENDING_COMMANDS.set(sessionId, false);
@@ -517,9 +568,12 @@ export default function SocketHandler(req, res) {
               
               // Mark as incomplete since the user didn't press Enter
               console.log(`Recording incomplete ${eventType}: [${session.commandBuffer.trim()}]`);
-              appendToTranscript(sessionId, eventType, session.commandBuffer.trim() + ' (incomplete)');
+              getTranscriptStore().appendToTranscript(sessionId, eventType, session.commandBuffer.trim() + ' (incomplete)');
             }
             
+            // Write out the rest of the transcript
+            getTranscriptStore().closeTranscript(sessionId);
+            
             // Clean up pending command flags
             if (global.PENDING_COMMANDS.has(sessionId)) {
               global.PENDING_COMMANDS.delete(sessionId);
@@ -1,5 +1,5 @@
 // API endpoint for managing terminal session transcripts
-import { getAllTranscripts, getTranscriptContent, deleteTranscript } from '../../lib/transcriptStore';
+import { getTranscriptStore, isValidTranscriptId } from '../../lib/transcriptStore';
 
 export default async function handler(req, res) {
   switch (req.method) {
@@ -20,9 +20,13 @@ async function handleGet(req, res) {
     
     // If ID is provided, return that specific transcript
     if (id) {
-      const transcriptContent = getTranscriptContent(id);
+      if (!isValidTranscriptId(id)) {
+        return res.status(400).json({ error: 'Invalid transcript ID' });
+      }
+      
+      const transcriptContent = await getTranscriptStore().getTranscriptContent(id);
       
-      if (!transcriptContent) {
+      if (transcriptContent === null) {
         return res.status(404).json({ error: 'Transcript not found' });
       }
       
@@ -30,7 +34,7 @@ async function handleGet(req, res) {
     }
     
     // Otherwise, return all transcript metadata
-    const transcripts = getAllTranscripts();
+    const transcripts = await getTranscriptStore().getAllTranscripts();
     return res.status(200).json({ transcripts });
   } catch (error) {
     console.error('Error retrieving transcripts:', error);
@@ -47,7 +51,11 @@ async function handleDelete(req, res) {
       return res.status(400).json({ error: 'Transcript ID is required' });
     }
     
-    deleteTranscript(id);
+    if (!isValidTranscriptId(id)) {
+      return res.status(400).json({ error: 'Invalid transcript ID' });
+    }
+    
+    await getTranscriptStore().deleteTranscript(id);
     return res.status(200).json({ success: true });
   } catch (error) {
     console.error('Error deleting transcript:', error);
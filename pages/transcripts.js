@@ -1,10 +1,11 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, useCallback } from 'react';
 import Head from 'next/head';
 import Link from 'next/link';
 import { useRouter } from 'next/router';
 import axios from 'axios';
 import styles from '../styles/Transcripts.module.css';
 import { formatTranscript } from '../utils/transcriptFormatter';
+import SessionPlayer from '../components/SessionPlayer';
 
 // Function to filter out redundant single keystrokes
 function filterRedundantKeystrokes(content) {
@@ -188,8 +189,13 @@ export default function TranscriptsPage() {
   const [autoScroll, setAutoScroll] = useState(true);
   const [activeSessions, setActiveSessions] = useState([]);
   const [cleanView, setCleanView] = useState(true); // Default to clean view
+  const [viewMode, setViewMode] = useState('text'); // 'text' or 'playback' of the recording
+  const [playbackStart, setPlaybackStart] = useState(null); // Recording time (seconds) to open playback at
+  const [linkNotice, setLinkNotice] = useState('');
   const refreshIntervalRef = useRef(null);
   const contentRef = useRef(null);
+  const deepLinkHandledRef = useRef(false);
+  const linkNoticeTimerRef = useRef(null);
   
   // Load transcript list on component mount
   useEffect(() => {
@@ -221,7 +227,7 @@ export default function TranscriptsPage() {
   }, []);
   
   // Load transcript content when a transcript is selected
-  const loadTranscriptContent = async (transcriptId, isInitialLoad = false) => {
+  const loadTranscriptContent = useCallback(async (transcriptId, isInitialLoad = false) => {
     if (!transcriptId) return;
     
     try {
@@ -254,7 +260,7 @@ export default function TranscriptsPage() {
         setIsLoading(false);
       }
     }
-  };
+  }, [autoScroll]);
   
   // Start or stop live updates
   const toggleLiveUpdates = () => {
@@ -286,7 +292,7 @@ export default function TranscriptsPage() {
   }, [selectedTranscript]);
   
   // Handle transcript selection
-  const handleSelectTranscript = (transcript) => {
+  const handleSelectTranscript = useCallback((transcript, startAt = null) => {
     // Clear any existing interval
     if (refreshIntervalRef.current) {
       clearInterval(refreshIntervalRef.current);
@@ -295,7 +301,68 @@ export default function TranscriptsPage() {
     setIsLive(false);
     
     setSelectedTranscript(transcript);
+    setPlaybackStart(startAt);
+    if (!transcript.recording) {
+      setViewMode('text');
+    }
     loadTranscriptContent(transcript.id, true);
+    
+    // Keep the URL pointing at the selected transcript
+    const query = startAt !== null ? { id: transcript.id, t: startAt } : { id: transcript.id };
+    router.replace({ pathname: '/transcripts', query }, undefined, { shallow: true });
+  }, [loadTranscriptContent, router]);
+  
+  // Open the transcript named in the URL (?id=...), and its playback at ?t=<seconds> if given
+  useEffect(() => {
+    if (deepLinkHandledRef.current || !router.isReady || isLoading) return;
+    deepLinkHandledRef.current = true;
+    
+    const { id, t } = router.query;
+    const transcript = id && transcripts.find(item => item.id === id);
+    if (!transcript) {
+      if (id) setError(`Transcript ${id} not found`);
+      return;
+    }
+    
+    const startAt = t !== undefined && Number.isFinite(Number(t)) ? Math.max(0, Number(t)) : null;
+    if (startAt !== null && transcript.recording) {
+      setViewMode('playback');
+    }
+    handleSelectTranscript(transcript, startAt);
+  }, [router.isReady, router.query, isLoading, transcripts, handleSelectTranscript]);
+  
+  // Copy a link that opens the selected recording at a point in time
+  const handleShareTime = async (seconds) => {
+    if (!selectedTranscript) return;
+    
+    const t = Math.floor(seconds * 10) / 10;
+    const link = `${window.location.origin}/transcripts?id=${selectedTranscript.id}&t=${t}`;
+    router.replace({ pathname: '/transcripts', query: { id: selectedTranscript.id, t } }, undefined, { shallow: true });
+    
+    try {
+      await navigator.clipboard.writeText(link);
+      setLinkNotice('Link copied');
+    } catch (err) {
+      console.error('Failed to copy link:', err);
+      setLinkNotice(link); // Show it so it can be copied by hand
+    }
+    clearTimeout(linkNoticeTimerRef.current);
+    linkNoticeTimerRef.current = setTimeout(() => setLinkNotice(''), 5000);
+  };
+  
+  // Switch between the text transcript and playback of the recording
+  const toggleViewMode = () => {
+    if (viewMode === 'text') {
+      // Stop live updates of the text view while playing back
+      if (refreshIntervalRef.current) {
+        clearInterval(refreshIntervalRef.current);
+        refreshIntervalRef.current = null;
+      }
+      setIsLive(false);
+      setViewMode('playback');
+    } else {
+      setViewMode('text');
+    }
   };
   
   // Handle transcript deletion
@@ -404,36 +471,61 @@ export default function TranscriptsPage() {
             
             {selectedTranscript && (
               <div className={styles.controls}>
-                <label className={styles.controlLabel}>
-                  <input 
-                    type="checkbox" 
-                    checked={autoScroll} 
-                    onChange={() => setAutoScroll(!autoScroll)}
-                  />
-                  Auto-scroll
-                </label>
+                {linkNotice && <span className={styles.linkNotice}>{linkNotice}</span>}
                 
-                <label className={styles.controlLabel}>
-                  <input 
-                    type="checkbox" 
-                    checked={cleanView} 
-                    onChange={() => {
-                      setCleanView(!cleanView);
-                      // Reload content with new view setting
-                      if (selectedTranscript?.id) {
-                        loadTranscriptContent(selectedTranscript.id, false);
-                      }
-                    }}
-                  />
-                  Clean View (no keystrokes)
-                </label>
+                {viewMode === 'text' && (
+                  <>
+                    <label className={styles.controlLabel}>
+                      <input 
+                        type="checkbox" 
+                        checked={autoScroll} 
+                        onChange={() => setAutoScroll(!autoScroll)}
+                      />
+                      Auto-scroll
+                    </label>
+                    
+                    <label className={styles.controlLabel}>
+                      <input 
+                        type="checkbox" 
+                        checked={cleanView} 
+                        onChange={() => {
+                          setCleanView(!cleanView);
+                          // Reload content with new view setting
+                          if (selectedTranscript?.id) {
+                            loadTranscriptContent(selectedTranscript.id, false);
+                          }
+                        }}
+                      />
+                      Clean View (no keystrokes)
+                    </label>
+                    
+                    <button 
+                      className={`${styles.liveButton} ${isLive ? styles.liveActive : ''}`}
+                      onClick={toggleLiveUpdates}
+                    >
+                      {isLive ? 'Live: ON' : 'Live: OFF'}
+                    </button>
+                  </>
+                )}
                 
-                <button 
-                  className={`${styles.liveButton} ${isLive ? styles.liveActive : ''}`}
-                  onClick={toggleLiveUpdates}
-                >
-                  {isLive ? 'Live: ON' : 'Live: OFF'}
-                </button>
+                {selectedTranscript.recording && (
+                  <button
+                    className={`${styles.playbackButton} ${viewMode === 'playback' ? styles.playbackActive : ''}`}
+                    onClick={toggleViewMode}
+                  >
+                    {viewMode === 'playback' ? 'Show Text' : 'Playback'}
+                  </button>
+                )}
+                
+                {selectedTranscript.recording && (
+                  <a
+                    className={styles.exportLink}
+                    href={`http://localhost:3001/api/transcripts/${selectedTranscript.id}/asciicast?download=1`}
+                    title="asciicast v2 recording, playable with asciinema and other standard players"
+                  >
+                    Export .cast
+                  </a>
+                )}
               </div>
             )}
           </div>
@@ -454,12 +546,23 @@ export default function TranscriptsPage() {
                   </button>
                 </div>
               )}
-              <pre className={styles.terminal} ref={contentRef}>
-                {transcriptContent ? (
-                  transcriptContent
-                ) : 'No content available'}
-                {isLive && <div className={styles.liveIndicator}>•</div>}
-              </pre>
+              {viewMode === 'playback' ? (
+                <div className={styles.player}>
+                  <SessionPlayer
+                    key={selectedTranscript.id}
+                    transcriptId={selectedTranscript.id}
+                    startAt={playbackStart}
+                    onShareTime={handleShareTime}
+                  />
+                </div>
+              ) : (
+                <pre className={styles.terminal} ref={contentRef}>
+                  {transcriptContent ? (
+                    transcriptContent
+                  ) : 'No content available'}
+                  {isLive && <div className={styles.liveIndicator}>•</div>}
+                </pre>
+              )}
             </>
           )}
           
@@ -0,0 +1,70 @@
+// asciicast v2 recordings of terminal sessions
+// The .log transcripts escape line breaks and only keep wall-clock timestamps, so they can't
+// be replayed. Recordings keep the raw terminal output and input with times relative to the
+// start of the session, plus the terminal size and its changes, so standard players
+// (asciinema play, asciinema-player) reproduce the session as it was seen.
+// Format: newline-delimited JSON, a header object followed by [time, code, data] events
+// where code is o (output), i (input), r (resize, "COLSxROWS") or m (marker).
+
+// Size used until the first client reports its terminal size
+const DEFAULT_WIDTH = 80;
+const DEFAULT_HEIGHT = 24;
+
+// Start a recording written to writer ({ append(text), close() }, e.g. from the transcript store)
+// Options: { width, height, title, env }
+// Returns { output(data), input(data), resize(cols, rows), marker(label), close() }
+function createRecorder(writer, { width, height, title, env } = {}) {
+  const started = process.hrtime.bigint();
+  let closed = false;
+  let size = { width: width || DEFAULT_WIDTH, height: height || DEFAULT_HEIGHT };
+
+  const header = {
+    version: 2,
+    width: size.width,
+    height: size.height,
+    timestamp: Math.floor(Date.now() / 1000),
+    ...(title ? { title } : {}),
+    ...(env ? { env } : {})
+  };
+  writer.append(`${JSON.stringify(header)}\n`);
+
+  // Seconds since the recording started, with microsecond precision
+  const elapsed = () => Math.round(Number(process.hrtime.bigint() - started) / 1000) / 1e6;
+
+  const writeEvent = (code, data) => {
+    if (closed || !data) return;
+    writer.append(`${JSON.stringify([elapsed(), code, data])}\n`);
+  };
+
+  return {
+    output(data) {
+      writeEvent('o', data);
+    },
+
+    input(data) {
+      writeEvent('i', data);
+    },
+
+    // Only actual changes are recorded; clients report their size on every join
+    resize(cols, rows) {
+      if (!cols || !rows || (cols === size.width && rows === size.height)) return;
+      size = { width: cols, height: rows };
+      writeEvent('r', `${cols}x${rows}`);
+    },
+
+    // Markers label points in the recording (players can jump to them)
+    marker(label) {
+      writeEvent('m', label || '');
+    },
+
+    close() {
+      if (closed) return;
+      closed = true;
+      writer.close();
+    }
+  };
+}
+
+module.exports = {
+  createRecorder
+};
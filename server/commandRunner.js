@@ -0,0 +1,196 @@
+// Run commands on separate exec channels of an SSH connection
+// Nothing is typed into the interactive shell: each command gets its own channel
+// with its own stdout, stderr and exit status.
+const crypto = require('crypto');
+const { StringDecoder } = require('string_decoder');
+
+// Defaults and upper limits for a single command
+const DEFAULT_TIMEOUT = 30000;
+const MAX_TIMEOUT = 10 * 60 * 1000;
+const DEFAULT_MAX_OUTPUT = 1024 * 1024;
+const MAX_OUTPUT = 16 * 1024 * 1024;
+
+// Get (and lazily create) the registry of running commands for a connection
+function getCommands(connection) {
+  if (!connection.commands) {
+    connection.commands = new Map();
+  }
+  return connection.commands;
+}
+
+// Clamp a requested limit to (0, max], falling back to the default
+function clampLimit(value, fallback, max) {
+  const parsed = parseInt(value, 10);
+  if (!Number.isInteger(parsed) || parsed <= 0) return fallback;
+  return Math.min(parsed, max);
+}
+
+// Public view of a finished (or running) command
+function describeCommand(job) {
+  return {
+    execId: job.id,
+    command: job.command,
+    stdout: job.stdout,
+    stderr: job.stderr,
+    exitCode: job.exitCode,
+    signal: job.signal,
+    timedOut: job.timedOut,
+    cancelled: job.cancelled,
+    truncated: job.truncated,
+    startedAt: job.startedAt,
+    durationMs: job.finishedAt ? job.finishedAt - job.startedMs : Date.now() - job.startedMs
+  };
+}
+
+// Start a command on a new exec channel
+// Options: { timeout, maxOutputBytes, onData(streamName, text) }
+// Resolves with the job once the channel is open; job.done resolves with the result.
+// With onData, output is handed over as it arrives instead of being collected.
+function startCommand(connection, command, options = {}) {
+  return new Promise((resolve, reject) => {
+    if (!connection.client) {
+      return reject(new Error('SSH connection is not ready'));
+    }
+
+    const timeout = clampLimit(options.timeout, DEFAULT_TIMEOUT, MAX_TIMEOUT);
+    const maxOutputBytes = clampLimit(options.maxOutputBytes, DEFAULT_MAX_OUTPUT, MAX_OUTPUT);
+
+    connection.client.exec(command, (err, channel) => {
+      if (err) {
+        return reject(err);
+      }
+
+      const job = {
+        id: crypto.randomBytes(8).toString('hex'),
+        command,
+        stdout: '',
+        stderr: '',
+        exitCode: null,
+        signal: null,
+        timedOut: false,
+        cancelled: false,
+        truncated: false,
+        startedAt: new Date().toISOString(),
+        startedMs: Date.now(),
+        finishedAt: null,
+        outputBytes: 0,
+        channel,
+        timer: null,
+        done: null
+      };
+
+      job.done = new Promise((finish) => {
+        // Characters split across chunks are held back until the rest arrives
+        const decoders = {
+          stdout: new StringDecoder('utf8'),
+          stderr: new StringDecoder('utf8')
+        };
+
+        const emit = (streamName, text) => {
+          if (!text) return;
+          if (options.onData) {
+            options.onData(streamName, text);
+          } else {
+            job[streamName] += text;
+          }
+        };
+
+        const collect = (streamName) => {
+          return (data) => {
+            if (job.truncated) return;
+
+            // Cut the output at the cap; the command keeps running (and its
+            // output is drained) until it exits, times out or is cancelled
+            if (job.outputBytes + data.length > maxOutputBytes) {
+              data = data.slice(0, maxOutputBytes - job.outputBytes);
+              job.truncated = true;
+            }
+            job.outputBytes += data.length;
+
+            emit(streamName, decoders[streamName].write(data));
+          };
+        };
+
+        channel.on('data', collect('stdout'));
+        channel.stderr.on('data', collect('stderr'));
+
+        channel.on('exit', (code, signal) => {
+          if (code !== null && code !== undefined) {
+            job.exitCode = code;
+          }
+          if (signal) {
+            job.signal = signal;
+          }
+        });
+
+        channel.on('close', () => {
+          clearTimeout(job.timer);
+          job.finishedAt = Date.now();
+          getCommands(connection).delete(job.id);
+          // Hand over what the decoders still hold (a character cut off at the end or at the cap)
+          emit('stdout', decoders.stdout.end());
+          emit('stderr', decoders.stderr.end());
+          finish(describeCommand(job));
+        });
+      });
+
+      job.timer = setTimeout(() => {
+        job.timedOut = true;
+        console.warn(`Command ${job.id} timed out after ${timeout}ms on connection ${connection.id}`);
+        stopChannel(channel);
+      }, timeout);
+
+      getCommands(connection).set(job.id, job);
+      console.log(`Running command ${job.id} on connection ${connection.id}: ${command}`);
+      resolve(job);
+    });
+  });
+}
+
+// Quote a value for a POSIX shell command line
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+// Ask the remote process to stop, then close the channel
+// (many servers ignore signal requests, so closing is what actually ends it)
+function stopChannel(channel) {
+  try {
+    channel.signal('KILL');
+  } catch (err) {
+    // Ignore: the channel may already be closing
+  }
+  channel.close();
+}
+
+// Cancel a running command
+function cancelCommand(connection, jobId) {
+  const job = getCommands(connection).get(jobId);
+  if (!job) {
+    return false;
+  }
+
+  job.cancelled = true;
+  stopChannel(job.channel);
+  console.log(`Cancelled command ${jobId} on connection ${connection.id}`);
+  return true;
+}
+
+// Cancel every running command of a connection (used when the connection is closed)
+function cancelAllCommands(connection) {
+  if (!connection.commands) return;
+  Array.from(connection.commands.keys()).forEach(id => cancelCommand(connection, id));
+}
+
+module.exports = {
+  DEFAULT_TIMEOUT,
+  MAX_TIMEOUT,
+  DEFAULT_MAX_OUTPUT,
+  MAX_OUTPUT,
+  describeCommand,
+  shellQuote,
+  stopChannel,
+  startCommand,
+  cancelCommand,
+  cancelAllCommands
+};
@@ -0,0 +1,144 @@
+// Track a shell's current directory from OSC 7 escape sequences in its output
+// Shells announce their directory with ESC ] 7 ; file://host/path BEL (or ESC \).
+// Many shells are not set up to do that, so once a bash/zsh prompt shows up without
+// one, a small prompt hook is typed into the shell. Its echo is held back and wiped
+// from the output once the first report arrives, so the user only sees a fresh prompt.
+
+// Set CWD_PROMPT_HOOK=0 to never type the hook into shells
+const PROMPT_HOOK_ENABLED = process.env.CWD_PROMPT_HOOK !== '0';
+
+// Quiet time after output before deciding the shell sits at a prompt
+const PROMPT_SETTLE_DELAY = 800;
+
+// How long to hold back output after typing the hook before giving up on it
+const HOOK_TIMEOUT = 3000;
+
+// Longest unterminated escape sequence kept between chunks
+const MAX_PENDING = 4096;
+
+const OSC7_PATTERN = /\x1b\]7;([^\x07\x1b]*)(?:\x07|\x1b\\)/g;
+const OSC7_START = '\x1b]7;';
+const ANSI_PATTERN = /\x1b(?:\[[0-9;?]*[ -/]*[@-~]|\][^\x07\x1b]*(?:\x07|\x1b\\)|[@-Z\\-_])/g;
+
+// The hook reports the directory before every prompt (bash via PROMPT_COMMAND, zsh via precmd)
+const PROMPT_HOOK = " __term_cwd() { printf '\\033]7;file://%s%s\\033\\\\' \"${HOSTNAME:-$HOST}\" \"$PWD\"; };"
+  + ' if [ -n "$ZSH_VERSION" ]; then precmd_functions+=(__term_cwd);'
+  + ' else PROMPT_COMMAND="__term_cwd${PROMPT_COMMAND:+;$PROMPT_COMMAND}"; fi\r';
+
+// Parse the payload of an OSC 7 sequence into { host, path }
+function parseOsc7(payload) {
+  const match = /^file:\/\/([^/]*)(\/.*)$/.exec(payload);
+  if (!match) return null;
+  try {
+    return { host: match[1] || null, path: decodeURIComponent(match[2]) };
+  } catch (err) {
+    return { host: match[1] || null, path: match[2] };
+  }
+}
+
+// Does the end of the output look like a bash/zsh prompt ($, # or % followed by a space)?
+function looksLikePrompt(output) {
+  const lastLine = output.replace(ANSI_PATTERN, '').split(/\r?\n|\r/).pop();
+  return /[$#%] $/.test(lastLine);
+}
+
+// Create a tracker for one shell channel
+// Options:
+//   sendInput(text): type into the shell (used for the prompt hook)
+//   onOutput(text): output to pass on to clients (with the hook's echo removed)
+//   onCwd({ host, path }): the directory changed
+// Returns { write(output), noteInput(), close() }: feed every chunk of shell output to
+// write() and call noteInput() whenever the user types.
+function createCwdTracker({ sendInput, onOutput, onCwd }) {
+  let pending = ''; // Start of an OSC 7 sequence that continues in the next chunk
+  let current = null;
+  let reported = false; // The shell has reported its directory at least once
+  let hookSent = false;
+  let holding = false;
+  let held = '';
+  let settleTimer = null;
+  let hookTimer = null;
+
+  // Report the directories announced in a chunk of output
+  const scan = (output) => {
+    const text = pending + output;
+    for (const match of text.matchAll(OSC7_PATTERN)) {
+      const cwd = parseOsc7(match[1]);
+      if (!cwd) continue;
+      reported = true;
+      if (!current || current.path !== cwd.path || current.host !== cwd.host) {
+        current = cwd;
+        onCwd(cwd);
+      }
+    }
+
+    // Keep an unterminated sequence for the next chunk
+    const start = text.lastIndexOf(OSC7_START);
+    const tail = start === -1 ? '' : text.slice(start);
+    pending = tail && !/\x07|\x1b\\/.test(tail) && tail.length < MAX_PENDING ? tail : '';
+  };
+
+  // Stop holding output back; if the hook reported in, wipe its echo (everything up to
+  // the report) and the old prompt line, so only the fresh prompt remains
+  const release = (wipeEcho) => {
+    clearTimeout(hookTimer);
+    holding = false;
+    const output = held;
+    held = '';
+    if (!output) return;
+
+    const reports = wipeEcho ? Array.from(output.matchAll(OSC7_PATTERN)) : [];
+    const last = reports[reports.length - 1];
+    onOutput(last ? '\r\x1b[K' + output.slice(last.index + last[0].length) : output);
+  };
+
+  const sendHook = () => {
+    hookSent = true;
+    holding = true;
+    hookTimer = setTimeout(() => release(false), HOOK_TIMEOUT);
+    sendInput(PROMPT_HOOK);
+  };
+
+  return {
+    write(output) {
+      const reportsBefore = reported;
+      scan(output);
+
+      if (holding) {
+        held += output;
+        if (!reportsBefore && reported) {
+          release(true);
+        }
+        return;
+      }
+
+      onOutput(output);
+
+      // Wait for the first prompt to settle, then install the hook if the shell is silent about its directory
+      if (PROMPT_HOOK_ENABLED && !reported && !hookSent) {
+        clearTimeout(settleTimer);
+        const lastOutput = output;
+        settleTimer = setTimeout(() => {
+          if (!reported && !hookSent && looksLikePrompt(lastOutput)) {
+            sendHook();
+          }
+        }, PROMPT_SETTLE_DELAY);
+      }
+    },
+
+    // Never type the hook into a half-typed command line
+    noteInput() {
+      clearTimeout(settleTimer);
+    },
+
+    close() {
+      clearTimeout(settleTimer);
+      if (holding) release(false);
+    }
+  };
+}
+
+module.exports = {
+  parseOsc7,
+  createCwdTracker
+};
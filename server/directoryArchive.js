@@ -0,0 +1,352 @@
+// Stream a remote directory as a .tar.gz archive without staging it on the gateway
+// The tree is walked over SFTP first, which applies the include/exclude globs and the
+// size guard before anything is sent. The archive itself is made by the host's tar on
+// an exec channel (fed the file list on stdin); hosts without a usable tar get an
+// archive built here from SFTP reads instead.
+const path = require('path').posix;
+const zlib = require('zlib');
+const { PassThrough, Readable } = require('stream');
+const sftpFiles = require('./sftpFiles');
+const commandRunner = require('./commandRunner');
+
+// Largest total file size an archive may hold (override with ARCHIVE_MAX_SIZE, in bytes)
+const ARCHIVE_MAX_SIZE = parseInt(process.env.ARCHIVE_MAX_SIZE, 10) || 2 * 1024 * 1024 * 1024;
+
+// Most entries (files, directories and links) an archive may hold
+const ARCHIVE_MAX_ENTRIES = 100000;
+
+// Ways of building the archive
+const ARCHIVE_METHODS = ['auto', 'tar', 'sftp'];
+
+const BLOCK_SIZE = 512;
+
+// Attach an HTTP status to an error
+function httpError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+// Turn a glob into a regular expression
+// Supports *, ** (any number of directories), ?, [...] and {a,b}.
+function globToRegExp(glob) {
+  let source = '';
+  let braceDepth = 0;
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        const slash = glob[i + 2] === '/';
+        source += slash ? '(?:.*/)?' : '.*';
+        i += slash ? 2 : 1;
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[' && glob.indexOf(']', i + 2) !== -1) {
+      const close = glob.indexOf(']', i + 2);
+      const body = glob.slice(i + 1, close).replace(/^!/, '^').replace(/\\/g, '\\\\');
+      source += `[${body}]`;
+      i = close;
+    } else if (char === '{') {
+      braceDepth += 1;
+      source += '(?:';
+    } else if (char === '}' && braceDepth > 0) {
+      braceDepth -= 1;
+      source += ')';
+    } else if (char === ',' && braceDepth > 0) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|\\/{}[\]]/g, '\\$&');
+    }
+  }
+  source += ')'.repeat(braceDepth);
+  return new RegExp(`^${source}$`);
+}
+
+// Build a matcher from a list of globs
+// Globs with a slash match the path relative to the archived directory, others match the name.
+function createMatcher(globs) {
+  const patterns = globs.map(glob => ({
+    regex: globToRegExp(glob.replace(/^\//, '')),
+    matchPath: glob.includes('/')
+  }));
+  return (relPath) => patterns.some(({ regex, matchPath }) => regex.test(matchPath ? relPath : path.basename(relPath)));
+}
+
+// Accept a glob list as an array or a single string (e.g. repeated query parameters)
+function normalizeGlobs(value) {
+  const list = Array.isArray(value) ? value : [value];
+  return list.filter(glob => typeof glob === 'string' && glob.trim()).map(glob => glob.trim());
+}
+
+// Walk a directory over SFTP and collect what goes into the archive
+// Excluded directories are skipped with everything below them. With include globs only
+// matching files and links are kept (tar recreates their directories on extraction).
+async function collectEntries(sftp, rootPath, { include, exclude, maxSize }) {
+  const isIncluded = include.length ? createMatcher(include) : null;
+  const isExcluded = exclude.length ? createMatcher(exclude) : () => false;
+  const entries = [];
+  let totalSize = 0;
+  let skipped = 0;
+
+  const walk = async (relDir) => {
+    let list;
+    try {
+      list = await sftpFiles.call(sftp, 'readdir', relDir ? path.join(rootPath, relDir) : rootPath);
+    } catch (err) {
+      if (!relDir) throw err;
+      skipped += 1;
+      return;
+    }
+
+    list.sort((a, b) => a.filename.localeCompare(b.filename));
+    for (const { filename, attrs } of list) {
+      if (filename === '.' || filename === '..') continue;
+      const relPath = relDir ? `${relDir}/${filename}` : filename;
+      if (isExcluded(relPath)) continue;
+
+      const type = sftpFiles.fileType(attrs.mode);
+      if (type === 'other') {
+        skipped += 1;
+        continue;
+      }
+
+      const entry = { relPath, type, size: 0, mode: attrs.mode & 0o7777, uid: attrs.uid, gid: attrs.gid, mtime: attrs.mtime, target: '' };
+      if (type === 'directory') {
+        if (!isIncluded) entries.push(entry);
+        await walk(relPath);
+      } else if (!isIncluded || isIncluded(relPath)) {
+        if (type === 'symlink') {
+          entry.target = await sftpFiles.call(sftp, 'readlink', path.join(rootPath, relPath)).catch(() => '');
+        } else {
+          entry.size = attrs.size;
+          totalSize += attrs.size;
+        }
+        entries.push(entry);
+      }
+
+      if (totalSize > maxSize) {
+        throw httpError(`The directory holds more than ${maxSize} bytes of files; narrow it down with include/exclude patterns`, 413);
+      }
+      if (entries.length > ARCHIVE_MAX_ENTRIES) {
+        throw httpError(`The directory holds more than ${ARCHIVE_MAX_ENTRIES} entries`, 413);
+      }
+    }
+  };
+
+  await walk('');
+  return { entries, totalSize, skipped };
+}
+
+// Archive the entries with the host's tar, reading the NUL-separated file list from stdin
+// Resolves with the gzip stream once tar has produced output; rejects if tar fails before
+// that (e.g. it is missing or lacks --null), so the caller can fall back to SFTP.
+function streamRemoteTar(connection, parentDir, names) {
+  const command = `tar -czf - -C ${commandRunner.shellQuote(parentDir)} --no-recursion --null -T -`;
+  return new Promise((resolve, reject) => {
+    connection.client.exec(command, (err, channel) => {
+      if (err) return reject(err);
+
+      const output = new PassThrough();
+      let stderr = '';
+      let started = false;
+      let closed = false;
+
+      channel.stderr.on('data', (data) => {
+        stderr = (stderr + data.toString('utf-8')).slice(-2000);
+      });
+      channel.once('data', () => {
+        started = true;
+        resolve(output);
+      });
+      channel.on('exit', (code) => {
+        // Once output has started the archive goes out as tar made it (unreadable files are left out)
+        if (started && code) {
+          console.warn(`tar exited with code ${code} while archiving ${parentDir}: ${stderr.trim()}`);
+        }
+      });
+      channel.on('close', () => {
+        closed = true;
+        if (!started) reject(new Error(stderr.trim() || 'tar produced no output'));
+      });
+      channel.pipe(output);
+
+      // Stop tar when whoever reads the archive goes away
+      output.on('close', () => {
+        if (!closed) commandRunner.stopChannel(channel);
+      });
+
+      channel.end(names.map(name => `${name}\0`).join(''));
+    });
+  });
+}
+
+// Write a value as a NUL-terminated octal field
+function writeOctal(header, value, offset, length) {
+  header.write(value.toString(8).padStart(length - 1, '0') + '\0', offset, length, 'ascii');
+}
+
+// Split a long name into ustar prefix and name fields, or null if it doesn't fit
+function splitUstarName(name) {
+  if (Buffer.byteLength(name) <= 100) return { prefix: '', name };
+  for (let i = name.indexOf('/'); i !== -1; i = name.indexOf('/', i + 1)) {
+    const prefix = name.slice(0, i);
+    const rest = name.slice(i + 1);
+    if (Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(rest) <= 100 && rest) {
+      return { prefix, name: rest };
+    }
+  }
+  return null;
+}
+
+// Build one 512 byte ustar header
+function buildHeader({ name, prefix = '', typeflag, size = 0, mode, uid, gid, mtime, linkname = '' }) {
+  const header = Buffer.alloc(BLOCK_SIZE);
+  header.write(name, 0, 100, 'utf-8');
+  writeOctal(header, mode, 100, 8);
+  writeOctal(header, uid, 108, 8);
+  writeOctal(header, gid, 116, 8);
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, mtime, 136, 12);
+  header.fill(' ', 148, 156);
+  header.write(typeflag, 156, 1, 'ascii');
+  header.write(linkname, 157, 100, 'utf-8');
+  header.write('ustar\0', 257, 6, 'ascii');
+  header.write('00', 263, 2, 'ascii');
+  header.write(prefix, 345, 155, 'utf-8');
+
+  let checksum = 0;
+  for (const byte of header) checksum += byte;
+  header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8, 'ascii');
+  return header;
+}
+
+// Zero padding up to the next block boundary
+function padding(size) {
+  const remainder = size % BLOCK_SIZE;
+  return remainder ? Buffer.alloc(BLOCK_SIZE - remainder) : null;
+}
+
+// PAX extended header for names and link targets that don't fit ustar fields
+// Each record is "<length> <key>=<value>\n", where the length counts its own digits too.
+function buildPaxHeader(records, mtime) {
+  const body = Buffer.from(Object.entries(records).map(([key, value]) => {
+    const line = ` ${key}=${value}\n`;
+    const lineLength = Buffer.byteLength(line);
+    let length = lineLength + String(lineLength).length;
+    if (String(length).length > String(lineLength).length) length = lineLength + String(length).length;
+    return `${length}${line}`;
+  }).join(''));
+
+  return [buildHeader({ name: 'PaxHeader', typeflag: 'x', size: body.length, mode: 0o644, uid: 0, gid: 0, mtime }), body, padding(body.length)];
+}
+
+// Headers for one archive entry
+function entryHeaders(entry, name) {
+  const typeflag = { file: '0', directory: '5', symlink: '2' }[entry.type];
+  const fullName = entry.type === 'directory' ? `${name}/` : name;
+  const split = splitUstarName(fullName);
+  const records = {};
+  if (!split) records.path = fullName;
+  if (Buffer.byteLength(entry.target) > 100) records.linkpath = entry.target;
+
+  const blocks = Object.keys(records).length ? buildPaxHeader(records, entry.mtime) : [];
+  blocks.push(buildHeader({
+    ...(split || { prefix: '', name: fullName.slice(-100) }),
+    typeflag,
+    size: entry.type === 'file' ? entry.size : 0,
+    mode: entry.mode,
+    uid: entry.uid,
+    gid: entry.gid,
+    mtime: entry.mtime,
+    linkname: records.linkpath ? '' : entry.target
+  }));
+  return blocks.filter(Boolean);
+}
+
+// Build the tar stream here from SFTP reads
+// A file that shrinks while it is read is padded with zeros (and one that grows is cut)
+// to the size recorded in its header, so the archive stays well-formed.
+function buildTarOverSftp(sftp, rootPath, entries, prefix) {
+  async function* generate() {
+    for (const entry of entries) {
+      const name = prefix ? `${prefix}/${entry.relPath}` : entry.relPath;
+      yield* entryHeaders(entry, name);
+      if (entry.type !== 'file' || entry.size === 0) continue;
+
+      let written = 0;
+      const stream = sftp.createReadStream(path.join(rootPath, entry.relPath));
+      try {
+        for await (const chunk of stream) {
+          const part = chunk.subarray(0, entry.size - written);
+          written += part.length;
+          if (part.length) yield part;
+          if (written >= entry.size) break;
+        }
+      } finally {
+        stream.destroy();
+      }
+      if (written < entry.size) yield Buffer.alloc(entry.size - written);
+      const pad = padding(entry.size);
+      if (pad) yield pad;
+    }
+    // Two empty blocks end the archive
+    yield Buffer.alloc(BLOCK_SIZE * 2);
+  }
+
+  const gzip = zlib.createGzip();
+  const tar = Readable.from(generate());
+  tar.on('error', err => gzip.destroy(err));
+  gzip.on('close', () => tar.destroy());
+  return tar.pipe(gzip);
+}
+
+// Archive a remote directory
+// Options: { include, exclude (globs), maxSize (bytes, capped at ARCHIVE_MAX_SIZE), method: 'auto' | 'tar' | 'sftp' }
+// Resolves with { path, name, stream, method, entries, totalSize, skipped }; stream is the .tar.gz data.
+async function createArchive(connection, dirPath, options = {}) {
+  const method = options.method || 'auto';
+  if (!ARCHIVE_METHODS.includes(method)) {
+    throw httpError(`method must be one of: ${ARCHIVE_METHODS.join(', ')}`, 400);
+  }
+  const parsedMax = parseInt(options.maxSize, 10);
+  const maxSize = Number.isInteger(parsedMax) && parsedMax > 0 ? Math.min(parsedMax, ARCHIVE_MAX_SIZE) : ARCHIVE_MAX_SIZE;
+
+  const sftp = await sftpFiles.getSftp(connection);
+  const resolved = await sftpFiles.call(sftp, 'realpath', sftpFiles.expandHome(dirPath || '.'));
+  const stats = await sftpFiles.call(sftp, 'stat', resolved);
+  if (sftpFiles.fileType(stats.mode) !== 'directory') {
+    throw httpError(`${resolved} is not a directory`, 400);
+  }
+
+  const { entries, totalSize, skipped } = await collectEntries(sftp, resolved, {
+    include: normalizeGlobs(options.include),
+    exclude: normalizeGlobs(options.exclude),
+    maxSize
+  });
+
+  // Entries are stored below a folder named after the directory (the filesystem root has none)
+  const prefix = path.basename(resolved);
+  const result = { path: resolved, name: prefix || 'root', entries: entries.length, totalSize, skipped };
+
+  // tar refuses an empty file list, so an empty archive is always built here
+  if (method !== 'sftp' && entries.length) {
+    const names = entries.map(entry => (prefix ? `${prefix}/${entry.relPath}` : entry.relPath));
+    try {
+      const stream = await streamRemoteTar(connection, path.dirname(resolved), names);
+      return { ...result, stream, method: 'tar' };
+    } catch (err) {
+      if (method === 'tar') throw err;
+      console.log(`Remote tar unavailable for ${resolved} (${err.message}), building the archive over SFTP`);
+    }
+  }
+
+  return { ...result, stream: buildTarOverSftp(sftp, resolved, entries, prefix), method: 'sftp' };
+}
+
+module.exports = {
+  ARCHIVE_MAX_SIZE,
+  ARCHIVE_METHODS,
+  globToRegExp,
+  createArchive
+};
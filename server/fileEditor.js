@@ -0,0 +1,181 @@
+// Load and save remote text files for the in-browser editor
+// Files are read whole over SFTP and refused if they look binary. Saves compare the
+// file's current mtime and size with the values seen at load time, so changes made on
+// the host in the meantime are not silently overwritten.
+const crypto = require('crypto');
+const path = require('path').posix;
+const sftpFiles = require('./sftpFiles');
+
+// Largest file the editor opens (default 5 MB)
+const EDITOR_MAX_FILE_SIZE = parseInt(process.env.EDITOR_MAX_FILE_SIZE, 10) || 5 * 1024 * 1024;
+
+// Attach an HTTP status to an error
+function httpError(message, status, extra) {
+  return Object.assign(new Error(message), { status }, extra);
+}
+
+// Version information the client sends back when saving
+function describeVersion(stats) {
+  return {
+    size: stats.size,
+    mtime: new Date(stats.mtime * 1000).toISOString()
+  };
+}
+
+// Decode file contents, or return null when they are not UTF-8 text
+function decodeText(buffer) {
+  if (buffer.includes(0)) {
+    return null;
+  }
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch (err) {
+    return null;
+  }
+}
+
+// Read a whole remote file into a buffer
+function readBuffer(sftp, remotePath) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const stream = sftp.createReadStream(remotePath);
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('error', reject);
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+  });
+}
+
+// Write a buffer to a remote path
+function writeBuffer(sftp, remotePath, buffer) {
+  return new Promise((resolve, reject) => {
+    const stream = sftp.createWriteStream(remotePath);
+    stream.on('error', reject);
+    stream.on('close', resolve);
+    stream.end(buffer);
+  });
+}
+
+// Resolve the path a save writes to; a file that no longer exists resolves through its directory
+async function resolveTarget(sftp, remotePath) {
+  try {
+    return await sftpFiles.call(sftp, 'realpath', remotePath);
+  } catch (err) {
+    const dirPath = await sftpFiles.call(sftp, 'realpath', path.dirname(remotePath));
+    return path.join(dirPath, path.basename(remotePath));
+  }
+}
+
+// Save by writing a temporary file next to the target and renaming it over the target, so
+// the file is never seen half written. The temporary file gets the target's owner and group.
+// Resolves false, leaving nothing behind, when that's not possible here (e.g. the directory
+// isn't writable, or the owner can't be kept); the caller then writes in place instead.
+async function replaceViaTempFile(sftp, resolved, current, buffer) {
+  const tempPath = path.join(path.dirname(resolved), `.${path.basename(resolved)}.edit-${crypto.randomBytes(4).toString('hex')}`);
+  const removeTemp = () => sftpFiles.call(sftp, 'unlink', tempPath).catch(() => {});
+
+  try {
+    await writeBuffer(sftp, tempPath, buffer);
+  } catch (err) {
+    console.log(`Cannot write a temporary file next to ${resolved} (${err.message}), saving in place`);
+    await removeTemp();
+    return false;
+  }
+
+  try {
+    if (current) {
+      const temp = await sftpFiles.call(sftp, 'stat', tempPath);
+      if (temp.uid !== current.uid || temp.gid !== current.gid) {
+        try {
+          await sftpFiles.call(sftp, 'chown', tempPath, current.uid, current.gid);
+        } catch (err) {
+          console.log(`Cannot keep the owner of ${resolved} (${err.message}), saving in place`);
+          await removeTemp();
+          return false;
+        }
+      }
+      await sftpFiles.replaceFile(sftp, tempPath, resolved);
+    } else {
+      await sftpFiles.call(sftp, 'rename', tempPath, resolved);
+    }
+  } catch (err) {
+    await removeTemp();
+    throw err;
+  }
+  return true;
+}
+
+// Load a text file for editing
+// Resolves with { path, name, content, size, mtime }
+async function readTextFile(connection, remotePath) {
+  const sftp = await sftpFiles.getSftp(connection);
+  const resolved = await sftpFiles.call(sftp, 'realpath', sftpFiles.expandHome(remotePath));
+  const stats = await sftpFiles.call(sftp, 'stat', resolved);
+
+  if (sftpFiles.fileType(stats.mode) !== 'file') {
+    throw httpError(`${resolved} is not a regular file`, 400);
+  }
+  if (stats.size > EDITOR_MAX_FILE_SIZE) {
+    throw httpError(`${resolved} is too large to edit (${stats.size} bytes, limit ${EDITOR_MAX_FILE_SIZE})`, 413);
+  }
+
+  const content = decodeText(await readBuffer(sftp, resolved));
+  if (content === null) {
+    throw httpError(`${resolved} looks like a binary file and cannot be opened in the editor`, 415);
+  }
+
+  return {
+    path: resolved,
+    name: path.basename(resolved),
+    content,
+    ...describeVersion(stats)
+  };
+}
+
+// Save a text file edited in the browser
+// expectedMtime and expectedSize are the values returned when the file was loaded; if the
+// file changed since then the save is refused with a 409 (carrying the current version)
+// unless force is set. The new contents replace the file through a temporary file where
+// possible and are otherwise written over the file in place (see replaceViaTempFile).
+// Resolves with { path, name, size, mtime }
+async function writeTextFile(connection, remotePath, content, { expectedMtime, expectedSize, force = false } = {}) {
+  const sftp = await sftpFiles.getSftp(connection);
+  const resolved = await resolveTarget(sftp, sftpFiles.expandHome(remotePath));
+  const current = await sftpFiles.call(sftp, 'stat', resolved).catch((err) => {
+    if (err.code === 2) return null;
+    throw err;
+  });
+
+  if (current && sftpFiles.fileType(current.mode) !== 'file') {
+    throw httpError(`${resolved} is not a regular file`, 400);
+  }
+
+  if (!force) {
+    if (!current) {
+      throw httpError(`${resolved} was deleted on the host since it was opened`, 409, { current: null });
+    }
+    const version = describeVersion(current);
+    if (version.mtime !== expectedMtime || version.size !== expectedSize) {
+      throw httpError(`${resolved} was changed on the host since it was opened`, 409, { current: version });
+    }
+  }
+
+  const buffer = Buffer.from(String(content), 'utf8');
+  if (!(await replaceViaTempFile(sftp, resolved, current, buffer))) {
+    // Truncates and rewrites the file, keeping its owner, mode and links
+    await writeBuffer(sftp, resolved, buffer);
+  }
+
+  const saved = await sftpFiles.call(sftp, 'stat', resolved);
+  return {
+    path: resolved,
+    name: path.basename(resolved),
+    ...describeVersion(saved)
+  };
+}
+
+module.exports = {
+  EDITOR_MAX_FILE_SIZE,
+  decodeText,
+  readTextFile,
+  writeTextFile
+};
@@ -0,0 +1,204 @@
+// File management operations (rename/move, delete, create, chmod, chown) over SFTP
+// Paths are resolved through their parent directory only, so renaming or deleting a
+// symlink acts on the link itself and never on what it points at.
+const path = require('path').posix;
+const sftpFiles = require('./sftpFiles');
+const commandRunner = require('./commandRunner');
+
+// Owner and group names are looked up on the host with a short exec command
+const ID_LOOKUP_TIMEOUT = 10000;
+
+// Attach an HTTP status to an error
+function httpError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+// Check that a request supplied a path
+function requirePath(remotePath, field = 'path') {
+  if (typeof remotePath !== 'string' || !remotePath.trim()) {
+    throw httpError(`${field} is required`, 400);
+  }
+  return remotePath.trim();
+}
+
+// Resolve a path's directory (following links and ~) but keep its last component as is
+async function resolveEntryPath(sftp, remotePath) {
+  const expanded = sftpFiles.expandHome(remotePath);
+  const name = path.basename(expanded);
+  if (!name || name === '.' || name === '..') {
+    return sftpFiles.call(sftp, 'realpath', expanded);
+  }
+  const dirPath = await sftpFiles.call(sftp, 'realpath', path.dirname(expanded));
+  return path.join(dirPath, name);
+}
+
+// lstat a path, resolving to null when it does not exist
+function lstatOrNull(sftp, remotePath) {
+  return sftpFiles.call(sftp, 'lstat', remotePath).catch(() => null);
+}
+
+// Reject operations on the filesystem root
+function refuseRoot(remotePath, action) {
+  if (remotePath === '/') {
+    throw httpError(`Refusing to ${action} /`, 400);
+  }
+}
+
+// Rename or move a path; an existing destination is never replaced
+// Resolves with { from, to }
+async function renamePath(connection, fromPath, toPath) {
+  const sftp = await sftpFiles.getSftp(connection);
+  const from = await resolveEntryPath(sftp, requirePath(fromPath, 'from'));
+  const to = await resolveEntryPath(sftp, requirePath(toPath, 'to'));
+  refuseRoot(from, 'move');
+
+  if (from === to) {
+    return { from, to };
+  }
+  if (to.startsWith(`${from}/`)) {
+    throw httpError(`Cannot move ${from} into itself`, 400);
+  }
+  if (await lstatOrNull(sftp, to)) {
+    throw httpError(`${to} already exists`, 409);
+  }
+
+  await sftpFiles.call(sftp, 'rename', from, to);
+  return { from, to };
+}
+
+// Delete a directory and everything below it (links are removed, not followed)
+async function removeTree(sftp, dirPath) {
+  const list = await sftpFiles.call(sftp, 'readdir', dirPath);
+  for (const item of list) {
+    if (item.filename === '.' || item.filename === '..') continue;
+    const childPath = path.join(dirPath, item.filename);
+    if (sftpFiles.fileType(item.attrs.mode) === 'directory') {
+      await removeTree(sftp, childPath);
+    } else {
+      await sftpFiles.call(sftp, 'unlink', childPath);
+    }
+  }
+  await sftpFiles.call(sftp, 'rmdir', dirPath);
+}
+
+// Delete a file, link or directory; non-empty directories need recursive
+// Resolves with { path, type }
+async function deletePath(connection, remotePath, { recursive = false } = {}) {
+  const sftp = await sftpFiles.getSftp(connection);
+  const resolved = await resolveEntryPath(sftp, requirePath(remotePath));
+  refuseRoot(resolved, 'delete');
+
+  const stats = await sftpFiles.call(sftp, 'lstat', resolved);
+  const type = sftpFiles.fileType(stats.mode);
+
+  if (type !== 'directory') {
+    await sftpFiles.call(sftp, 'unlink', resolved);
+  } else if (recursive) {
+    await removeTree(sftp, resolved);
+  } else {
+    const list = await sftpFiles.call(sftp, 'readdir', resolved);
+    if (list.some(item => item.filename !== '.' && item.filename !== '..')) {
+      throw httpError(`${resolved} is not empty`, 409);
+    }
+    await sftpFiles.call(sftp, 'rmdir', resolved);
+  }
+
+  return { path: resolved, type };
+}
+
+// Create a directory
+// Resolves with { path }
+async function createDirectory(connection, remotePath) {
+  const sftp = await sftpFiles.getSftp(connection);
+  const resolved = await resolveEntryPath(sftp, requirePath(remotePath));
+  if (await lstatOrNull(sftp, resolved)) {
+    throw httpError(`${resolved} already exists`, 409);
+  }
+
+  await sftpFiles.call(sftp, 'mkdir', resolved);
+  return { path: resolved };
+}
+
+// Create an empty file (never truncates an existing one)
+// Resolves with { path }
+async function createFile(connection, remotePath) {
+  const sftp = await sftpFiles.getSftp(connection);
+  const resolved = await resolveEntryPath(sftp, requirePath(remotePath));
+  if (await lstatOrNull(sftp, resolved)) {
+    throw httpError(`${resolved} already exists`, 409);
+  }
+
+  const handle = await sftpFiles.call(sftp, 'open', resolved, 'wx');
+  await sftpFiles.call(sftp, 'close', handle);
+  return { path: resolved };
+}
+
+// Parse a permission mode given as a number or an octal string such as "755" or "0644"
+function parseMode(mode) {
+  const text = String(mode).trim();
+  const value = typeof mode === 'number' ? mode : (/^[0-7]{1,4}$/.test(text) ? parseInt(text, 8) : NaN);
+  if (!Number.isInteger(value) || value < 0 || value > 0o7777) {
+    throw httpError('mode must be an octal permission mode between 0000 and 7777', 400);
+  }
+  return value;
+}
+
+// Change a path's permission bits
+// Resolves with { path, mode } (mode as an octal string)
+async function changeMode(connection, remotePath, mode) {
+  const value = parseMode(mode);
+  const sftp = await sftpFiles.getSftp(connection);
+  const resolved = await resolveEntryPath(sftp, requirePath(remotePath));
+
+  await sftpFiles.call(sftp, 'chmod', resolved, value);
+  return { path: resolved, mode: value.toString(8).padStart(4, '0') };
+}
+
+// Turn a user or group name into its numeric id on the host (numbers are used as given)
+async function resolveId(connection, kind, value) {
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) {
+    return parseInt(text, 10);
+  }
+
+  const command = kind === 'user'
+    ? `id -u -- ${commandRunner.shellQuote(text)}`
+    : `getent group ${commandRunner.shellQuote(text)} | cut -d: -f3`;
+  const job = await commandRunner.startCommand(connection, command, { timeout: ID_LOOKUP_TIMEOUT });
+  const result = await job.done;
+  const id = result.stdout.trim();
+
+  if (result.exitCode !== 0 || !/^\d+$/.test(id)) {
+    throw httpError(`Unknown ${kind} ${text}`, 400);
+  }
+  return parseInt(id, 10);
+}
+
+// Change a path's owner and/or group (names or numeric ids); the one left out is kept
+// Resolves with { path, uid, gid }
+async function changeOwner(connection, remotePath, { owner, group } = {}) {
+  const hasOwner = owner !== undefined && owner !== null && String(owner).trim() !== '';
+  const hasGroup = group !== undefined && group !== null && String(group).trim() !== '';
+  if (!hasOwner && !hasGroup) {
+    throw httpError('owner or group is required', 400);
+  }
+
+  const sftp = await sftpFiles.getSftp(connection);
+  const resolved = await resolveEntryPath(sftp, requirePath(remotePath));
+  const stats = await sftpFiles.call(sftp, 'stat', resolved);
+
+  const uid = hasOwner ? await resolveId(connection, 'user', owner) : stats.uid;
+  const gid = hasGroup ? await resolveId(connection, 'group', group) : stats.gid;
+
+  await sftpFiles.call(sftp, 'chown', resolved, uid, gid);
+  return { path: resolved, uid, gid };
+}
+
+module.exports = {
+  renamePath,
+  deletePath,
+  createDirectory,
+  createFile,
+  changeMode,
+  changeOwner
+};
@@ -0,0 +1,102 @@
+// Preview remote files from small ranged SFTP reads
+// Only the start of a file is read: text files show their first bytes and binary files a
+// hex dump of their first bytes. Images are shown by the browser straight from the
+// download endpoint, and files too large to be worth a look only get their metadata.
+const path = require('path').posix;
+const sftpFiles = require('./sftpFiles');
+const fileEditor = require('./fileEditor');
+
+// How much of a text file is shown, by default and at most
+const DEFAULT_TEXT_BYTES = 64 * 1024;
+const MAX_TEXT_BYTES = 1024 * 1024;
+
+// How much of a binary file goes into the hex dump
+const HEX_BYTES = 512;
+
+// Files above these sizes are described, not previewed (override with PREVIEW_MAX_FILE_SIZE, in bytes)
+const PREVIEW_MAX_FILE_SIZE = parseInt(process.env.PREVIEW_MAX_FILE_SIZE, 10) || 50 * 1024 * 1024;
+const IMAGE_MAX_SIZE = 10 * 1024 * 1024;
+
+// Image formats browsers render inline, by extension
+const IMAGE_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  bmp: 'image/bmp',
+  ico: 'image/x-icon',
+  svg: 'image/svg+xml',
+  avif: 'image/avif'
+};
+
+// Attach an HTTP status to an error
+function httpError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+// Drop a multi-byte UTF-8 character cut in half at the end of a partial read
+function trimPartialUtf8(buffer) {
+  for (let i = buffer.length - 1; i >= Math.max(0, buffer.length - 4); i--) {
+    const byte = buffer[i];
+    if ((byte & 0xc0) === 0x80) continue;
+    let expected = 1;
+    if ((byte & 0xe0) === 0xc0) expected = 2;
+    else if ((byte & 0xf0) === 0xe0) expected = 3;
+    else if ((byte & 0xf8) === 0xf0) expected = 4;
+    return buffer.length - i < expected ? buffer.subarray(0, i) : buffer;
+  }
+  return buffer;
+}
+
+// Preview a remote file
+// Options: { bytes } how much of a text file to show (capped at MAX_TEXT_BYTES)
+// Resolves with { path, name, size, mode, mtime, kind } plus, depending on kind:
+//   text: content, truncated   image: mimeType   binary: data (base64), truncated   metadata: reason
+async function previewFile(connection, remotePath, { bytes } = {}) {
+  const parsedBytes = parseInt(bytes, 10);
+  const textBytes = Number.isInteger(parsedBytes) && parsedBytes > 0 ? Math.min(parsedBytes, MAX_TEXT_BYTES) : DEFAULT_TEXT_BYTES;
+
+  const sftp = await sftpFiles.getSftp(connection);
+  const resolved = await sftpFiles.call(sftp, 'realpath', sftpFiles.expandHome(remotePath));
+  const stats = await sftpFiles.call(sftp, 'stat', resolved);
+  if (sftpFiles.fileType(stats.mode) !== 'file') {
+    throw httpError(`${resolved} is not a regular file`, 400);
+  }
+
+  const preview = {
+    path: resolved,
+    name: path.basename(resolved),
+    size: stats.size,
+    mode: stats.mode & 0o7777,
+    mtime: new Date(stats.mtime * 1000).toISOString()
+  };
+
+  const mimeType = IMAGE_TYPES[path.extname(resolved).slice(1).toLowerCase()];
+  if (mimeType) {
+    if (stats.size > IMAGE_MAX_SIZE) {
+      return { ...preview, kind: 'metadata', reason: `Images over ${IMAGE_MAX_SIZE} bytes are not previewed` };
+    }
+    return { ...preview, kind: 'image', mimeType };
+  }
+  if (stats.size > PREVIEW_MAX_FILE_SIZE) {
+    return { ...preview, kind: 'metadata', reason: `Files over ${PREVIEW_MAX_FILE_SIZE} bytes are not previewed` };
+  }
+
+  const head = await sftpFiles.readRange(sftp, resolved, 0, Math.min(stats.size, textBytes));
+  const truncated = head.length < stats.size;
+  const content = fileEditor.decodeText(truncated ? trimPartialUtf8(head) : head);
+  if (content !== null) {
+    return { ...preview, kind: 'text', content, truncated };
+  }
+
+  const data = head.subarray(0, HEX_BYTES);
+  return { ...preview, kind: 'binary', data: data.toString('base64'), truncated: data.length < stats.size };
+}
+
+module.exports = {
+  DEFAULT_TEXT_BYTES,
+  MAX_TEXT_BYTES,
+  PREVIEW_MAX_FILE_SIZE,
+  previewFile
+};
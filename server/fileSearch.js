@@ -0,0 +1,185 @@
+// Search remote files by name and content on a background exec channel
+// find walks the tree (skipping hidden entries unless asked) and, for content searches,
+// hands the files to grep through xargs. Matches are parsed as the output arrives and
+// passed on in small batches; a search can be cancelled like any other exec command.
+const path = require('path').posix;
+const sftpFiles = require('./sftpFiles');
+const commandRunner = require('./commandRunner');
+
+// Result limits for a single search
+const DEFAULT_MAX_RESULTS = 500;
+const MAX_RESULTS = 5000;
+
+// A search may run as long as any exec command
+const SEARCH_TIMEOUT = commandRunner.MAX_TIMEOUT;
+
+// How often collected matches are handed over
+const BATCH_INTERVAL = 200;
+
+// Matched lines are cut to this many characters
+const MAX_LINE_LENGTH = 300;
+
+// Attach an HTTP status to an error
+function httpError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+// Build the shell pipeline for a search
+// Names are matched with find's glob syntax; content is a fixed string unless regex is set.
+// Errors such as unreadable directories go to stderr and don't stop the search.
+function buildSearchCommand(rootPath, { name, content, caseSensitive, regex, showHidden }) {
+  const quote = commandRunner.shellQuote;
+  const find = [`find ${quote(rootPath)} -mindepth 1`];
+  if (!showHidden) {
+    find.push(`\\( -name '.*' -prune \\) -o`);
+  }
+  find.push('-type f');
+  if (name) {
+    find.push(`${caseSensitive ? '-name' : '-iname'} ${quote(name)}`);
+  }
+  find.push('-print0');
+
+  if (!content) {
+    return find.join(' ');
+  }
+
+  // /dev/null keeps grep from reading stdin when find produced no files
+  const grep = ['grep', '-I', '-H', '-n', '--null', regex ? '-E' : '-F'];
+  if (!caseSensitive) grep.push('-i');
+  grep.push('-e', quote(content), '--', '/dev/null');
+
+  return `${find.join(' ')} | xargs -0 ${grep.join(' ')}`;
+}
+
+// Turn streamed command output into matches (returns a function fed with each chunk)
+// Name searches print NUL-terminated paths; grep prints "path\0line:text\n".
+function createParser(isContentSearch, onMatch) {
+  let buffer = '';
+
+  const parseRecord = (record) => {
+    if (!isContentSearch) {
+      if (record) onMatch({ path: record, name: path.basename(record) });
+      return;
+    }
+
+    const separator = record.indexOf('\0');
+    if (separator === -1) return;
+    const filePath = record.slice(0, separator);
+    const rest = record.slice(separator + 1);
+    const colon = rest.indexOf(':');
+    if (colon === -1) return;
+    const line = parseInt(rest.slice(0, colon), 10);
+    if (!Number.isInteger(line)) return;
+
+    onMatch({
+      path: filePath,
+      name: path.basename(filePath),
+      line,
+      text: rest.slice(colon + 1, colon + 1 + MAX_LINE_LENGTH)
+    });
+  };
+
+  // Every record is terminated, so whatever is left over when a search is cut short is dropped
+  const delimiter = isContentSearch ? '\n' : '\0';
+  return (text) => {
+    buffer += text;
+    const records = buffer.split(delimiter);
+    buffer = records.pop();
+    records.forEach(parseRecord);
+  };
+}
+
+// Start a search below rootPath (~ and relative paths start at the home directory)
+// Options: { name, content, caseSensitive, regex, showHidden, maxResults }
+// Callbacks: onResults({ searchId, matches }) for each batch, onComplete(summary) once the search ends
+// Resolves with { searchId, path, command } as soon as the search is running.
+async function startSearch(connection, rootPath, options, { onResults, onComplete }) {
+  const name = typeof options.name === 'string' ? options.name.trim() : '';
+  const content = typeof options.content === 'string' ? options.content : '';
+  if (!name && !content) {
+    throw httpError('name or content is required', 400);
+  }
+
+  const parsedMax = parseInt(options.maxResults, 10);
+  const maxResults = Number.isInteger(parsedMax) && parsedMax > 0 ? Math.min(parsedMax, MAX_RESULTS) : DEFAULT_MAX_RESULTS;
+
+  const sftp = await sftpFiles.getSftp(connection);
+  const resolved = await sftpFiles.call(sftp, 'realpath', sftpFiles.expandHome(rootPath || '.'));
+  const stats = await sftpFiles.call(sftp, 'stat', resolved);
+  if (sftpFiles.fileType(stats.mode) !== 'directory') {
+    throw httpError(`${resolved} is not a directory`, 400);
+  }
+
+  const command = buildSearchCommand(resolved, {
+    name,
+    content,
+    caseSensitive: !!options.caseSensitive,
+    regex: !!options.regex,
+    showHidden: !!options.showHidden
+  });
+
+  let job = null;
+  let total = 0;
+  let limitReached = false;
+  let errors = 0;
+  let pending = [];
+  let batchTimer = null;
+
+  const flush = () => {
+    clearTimeout(batchTimer);
+    batchTimer = null;
+    if (pending.length) {
+      onResults({ searchId: job.id, matches: pending });
+      pending = [];
+    }
+  };
+
+  const parse = createParser(!!content, (match) => {
+    if (limitReached) return;
+    total += 1;
+    pending.push(match);
+    if (!batchTimer) {
+      batchTimer = setTimeout(flush, BATCH_INTERVAL);
+    }
+
+    // Stop the remote command once enough matches have been collected
+    if (total >= maxResults) {
+      limitReached = true;
+      if (job) commandRunner.cancelCommand(connection, job.id);
+    }
+  });
+
+  job = await commandRunner.startCommand(connection, command, {
+    timeout: SEARCH_TIMEOUT,
+    maxOutputBytes: commandRunner.MAX_OUTPUT,
+    onData: (streamName, text) => {
+      if (streamName === 'stdout') {
+        parse(text);
+      } else {
+        errors += text.split('\n').filter(Boolean).length;
+      }
+    }
+  });
+
+  job.done.then((result) => {
+    flush();
+    onComplete({
+      searchId: job.id,
+      path: resolved,
+      total,
+      truncated: limitReached || result.truncated,
+      cancelled: result.cancelled && !limitReached,
+      timedOut: result.timedOut,
+      errors,
+      durationMs: result.durationMs
+    });
+  });
+
+  return { searchId: job.id, path: resolved, command };
+}
+
+module.exports = {
+  DEFAULT_MAX_RESULTS,
+  MAX_RESULTS,
+  startSearch
+};
@@ -0,0 +1,197 @@
+// Multipart uploads streamed straight into SFTP write streams on the SSH host
+// (or, for in-band ZMODEM transfers, collected in memory)
+// Each file is written to a hidden temporary name next to its destination and only
+// moved into place once it is complete, so aborted uploads never leave partial files.
+const crypto = require('crypto');
+const path = require('path').posix;
+const { PassThrough } = require('stream');
+const formidable = require('formidable');
+const sftpFiles = require('./sftpFiles');
+
+// Largest upload accepted in one request (default 10 GB)
+const UPLOAD_MAX_SIZE = parseInt(process.env.UPLOAD_MAX_SIZE, 10) || 10 * 1024 * 1024 * 1024;
+
+// What to do when a file already exists at the destination
+const CONFLICT_POLICIES = ['fail', 'skip', 'overwrite'];
+
+// Minimum time between progress callbacks
+const PROGRESS_INTERVAL = 250;
+
+// Only plain file names are accepted; anything that could escape the target directory is rejected
+function getSafeName(originalFilename) {
+  const name = path.basename(String(originalFilename || '').replace(/\\/g, '/'));
+  if (!name || name === '.' || name === '..') {
+    return null;
+  }
+  return name;
+}
+
+// Remove a file, ignoring errors (used for temporary files)
+function removeQuietly(sftp, remotePath) {
+  return sftpFiles.call(sftp, 'unlink', remotePath).catch(() => {});
+}
+
+// Check whether a remote path exists
+function pathExists(sftp, remotePath) {
+  return sftpFiles.call(sftp, 'lstat', remotePath).then(() => true, () => false);
+}
+
+// Move a finished temporary file to its destination according to the conflict policy
+async function moveIntoPlace(sftp, upload, conflict) {
+  const { tempPath, destPath } = upload;
+
+  // A plain SFTP rename never replaces an existing file
+  try {
+    await sftpFiles.call(sftp, 'rename', tempPath, destPath);
+    return 'uploaded';
+  } catch (err) {
+    if (!(await pathExists(sftp, destPath))) {
+      throw err;
+    }
+  }
+
+  if (conflict !== 'overwrite') {
+    await removeQuietly(sftp, tempPath);
+    return conflict === 'skip' ? 'skipped' : 'conflict';
+  }
+
+  await sftpFiles.replaceFile(sftp, tempPath, destPath);
+  return 'overwritten';
+}
+
+// Receive a multipart request and write its files into targetDir on the host
+// Options: { targetDir, conflict, onProgress({ bytesReceived, bytesExpected, file }) }
+// Resolves with { path, files: [{ name, path, size, status, error? }] }
+// where status is uploaded, overwritten, skipped, conflict or failed.
+async function receiveUpload(connection, req, { targetDir, conflict = 'fail', onProgress }) {
+  const sftp = await sftpFiles.getSftp(connection);
+  const dirPath = await sftpFiles.call(sftp, 'realpath', sftpFiles.expandHome(targetDir || '.'));
+  const dirStats = await sftpFiles.call(sftp, 'stat', dirPath);
+  if (sftpFiles.fileType(dirStats.mode) !== 'directory') {
+    throw Object.assign(new Error(`${dirPath} is not a directory`), { status: 400 });
+  }
+
+  const uploads = [];
+  const rejected = [];
+  let currentFile = null;
+  let lastProgress = 0;
+
+  const form = formidable({
+    maxFileSize: UPLOAD_MAX_SIZE,
+    minFileSize: 0,
+    allowEmptyFiles: true,
+    multiples: true,
+    filter: (part) => {
+      if (part.originalFilename === undefined) return true;
+      if (getSafeName(part.originalFilename)) return true;
+      rejected.push({ name: String(part.originalFilename), path: null, size: 0, status: 'failed', error: 'Invalid file name' });
+      return false;
+    },
+    fileWriteStreamHandler: (file) => {
+      const name = getSafeName(file.originalFilename);
+      const tempPath = path.join(dirPath, `.${name}.upload-${crypto.randomBytes(4).toString('hex')}`);
+      const remoteStream = sftp.createWriteStream(tempPath);
+
+      // formidable waits for end() to call back, which ssh2 write streams never do when
+      // nothing was written (empty files), so the data goes through a PassThrough
+      const stream = new PassThrough();
+      stream.pipe(remoteStream);
+      remoteStream.on('error', err => stream.destroy(err));
+
+      const upload = {
+        name,
+        file,
+        tempPath,
+        destPath: path.join(dirPath, name),
+        stream: remoteStream,
+        // The handle is closed (and the data flushed) once 'close' fires
+        closed: new Promise(resolve => {
+          remoteStream.on('close', resolve);
+          remoteStream.on('error', resolve);
+        })
+      };
+      uploads.push(upload);
+      currentFile = name;
+      return stream;
+    }
+  });
+
+  form.on('progress', (bytesReceived, bytesExpected) => {
+    const now = Date.now();
+    if (onProgress && (now - lastProgress >= PROGRESS_INTERVAL || bytesReceived === bytesExpected)) {
+      lastProgress = now;
+      onProgress({ bytesReceived, bytesExpected, file: currentFile });
+    }
+  });
+
+  try {
+    await new Promise((resolve, reject) => {
+      // An aborted request never finishes parsing
+      req.on('aborted', () => reject(new Error('Upload aborted by the client')));
+      form.parse(req, (err) => (err ? reject(err) : resolve()));
+    });
+  } catch (err) {
+    uploads.forEach(upload => upload.stream.destroy());
+    await Promise.all(uploads.map(upload => removeQuietly(sftp, upload.tempPath)));
+    throw Object.assign(err, { status: err.httpCode || 400 });
+  }
+
+  const files = [];
+  for (const upload of uploads) {
+    await upload.closed;
+    const result = { name: upload.name, path: upload.destPath, size: upload.file.size };
+    try {
+      result.status = await moveIntoPlace(sftp, upload, conflict);
+    } catch (err) {
+      console.error(`Upload of ${upload.destPath} failed:`, err.message);
+      await removeQuietly(sftp, upload.tempPath);
+      result.status = 'failed';
+      result.error = err.message;
+    }
+    files.push(result);
+  }
+
+  return { path: dirPath, files: files.concat(rejected) };
+}
+
+// Receive a multipart request into memory, for transfers that do not go through SFTP
+// Options: { maxSize } limit for all files together
+// A lastModified field (milliseconds, one per file, in order) sets each file's mtime.
+// Resolves with [{ name, data, mtime }]
+async function receiveIntoMemory(req, { maxSize }) {
+  const files = [];
+
+  const form = formidable({
+    maxFileSize: maxSize,
+    minFileSize: 0,
+    allowEmptyFiles: true,
+    multiples: true,
+    filter: (part) => part.originalFilename === undefined || !!getSafeName(part.originalFilename),
+    fileWriteStreamHandler: (file) => {
+      const chunks = [];
+      const stream = new PassThrough();
+      stream.on('data', chunk => chunks.push(chunk));
+      files.push({ name: getSafeName(file.originalFilename), chunks });
+      return stream;
+    }
+  });
+
+  const fields = await new Promise((resolve, reject) => {
+    req.on('aborted', () => reject(new Error('Upload aborted by the client')));
+    form.parse(req, (err, parsedFields) => (err ? reject(Object.assign(err, { status: err.httpCode || 400 })) : resolve(parsedFields)));
+  });
+
+  const lastModified = [].concat(fields.lastModified || []).map(value => parseInt(value, 10));
+  return files.map((file, i) => ({
+    name: file.name,
+    data: Buffer.concat(file.chunks),
+    mtime: Number.isInteger(lastModified[i]) ? lastModified[i] : null
+  }));
+}
+
+module.exports = {
+  UPLOAD_MAX_SIZE,
+  CONFLICT_POLICIES,
+  receiveUpload,
+  receiveIntoMemory
+};
@@ -0,0 +1,266 @@
+// Copy files and directories from one SSH host to another through the gateway
+// An SFTP read stream on the source connection is piped into an SFTP write stream on the
+// destination connection. Like uploads, each file is written to a hidden temporary name and
+// only moved into place once its size on the destination matches what was read from the source.
+const crypto = require('crypto');
+const path = require('path').posix;
+const { Transform, pipeline } = require('stream');
+const sftpFiles = require('./sftpFiles');
+
+// What to do when an item already exists at the destination
+// (overwrite replaces files and merges into existing directories)
+const CONFLICT_POLICIES = ['fail', 'skip', 'overwrite'];
+
+// Most entries copied in one request (counted over whole directory trees)
+const COPY_MAX_ENTRIES = 100000;
+
+// Minimum time between progress callbacks
+const PROGRESS_INTERVAL = 250;
+
+// Attach an HTTP status to an error
+function httpError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+// Check whether a remote path exists
+function lstatOrNull(sftp, remotePath) {
+  return sftpFiles.call(sftp, 'lstat', remotePath).catch(() => null);
+}
+
+// List what has to be copied for one source item, depth first (directories before their contents)
+// Resolves with [{ relPath, type, size, mode, target }] where relPath starts with the item's name
+async function collectItem(sftp, sourcePath, stats, limit) {
+  const name = path.basename(sourcePath);
+  const entries = [];
+
+  const visit = async (relPath, attrs) => {
+    if (entries.length >= limit.remaining) {
+      throw httpError(`More than ${COPY_MAX_ENTRIES} entries to copy`, 413);
+    }
+    const absPath = path.join(path.dirname(sourcePath), relPath);
+    const type = sftpFiles.fileType(attrs.mode);
+    const entry = { relPath, type, size: 0, mode: attrs.mode & 0o7777, target: '' };
+
+    if (type === 'file') {
+      entry.size = attrs.size;
+    } else if (type === 'symlink') {
+      entry.target = await sftpFiles.call(sftp, 'readlink', absPath);
+    } else if (type !== 'directory') {
+      return; // Devices, sockets and pipes are not copied
+    }
+    entries.push(entry);
+
+    if (type === 'directory') {
+      const list = await sftpFiles.call(sftp, 'readdir', absPath);
+      list.sort((a, b) => a.filename.localeCompare(b.filename));
+      for (const item of list) {
+        if (item.filename === '.' || item.filename === '..') continue;
+        await visit(`${relPath}/${item.filename}`, item.attrs);
+      }
+    }
+  };
+
+  await visit(name, stats);
+  limit.remaining -= entries.length;
+  return entries;
+}
+
+// Stream one file between the hosts into tempPath on the destination
+// onBytes(count) is called as data passes through; resolves with the number of bytes copied
+async function copyFileData(sourceSftp, sourcePath, destSftp, tempPath, { size, mode }, onBytes) {
+  // ssh2 write streams that get no data never finish, so empty files are just created
+  if (size === 0) {
+    const handle = await sftpFiles.call(destSftp, 'open', tempPath, 'w', { mode });
+    await sftpFiles.call(destSftp, 'close', handle);
+    return 0;
+  }
+
+  let copied = 0;
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      copied += chunk.length;
+      onBytes(chunk.length);
+      callback(null, chunk);
+    }
+  });
+
+  // pipeline waits for the write stream to close its handle, so the data is on the host
+  await new Promise((resolve, reject) => {
+    pipeline(sourceSftp.createReadStream(sourcePath), counter, destSftp.createWriteStream(tempPath, { mode }), (err) => (err ? reject(err) : resolve()));
+  });
+  return copied;
+}
+
+// Copy one file, verify its size on the destination and move it into place
+// The file is checked against what was read, not the size seen while planning: files that
+// grow or shrink in the meantime (live logs) are copied as they were when read, and
+// entry.copiedSize records how much that was. Resolves with 'copied' or 'overwritten'
+async function copyFile(context, entry, sourcePath, destPath, onBytes) {
+  const { sourceSftp, destSftp } = context;
+  const tempPath = path.join(path.dirname(destPath), `.${path.basename(destPath)}.copy-${crypto.randomBytes(4).toString('hex')}`);
+
+  try {
+    // A file that was empty when planned may have data by now
+    const current = entry.size === 0 ? await sftpFiles.call(sourceSftp, 'stat', sourcePath) : entry;
+    const copied = await copyFileData(sourceSftp, sourcePath, destSftp, tempPath, { size: current.size, mode: entry.mode }, onBytes);
+    const written = await sftpFiles.call(destSftp, 'stat', tempPath);
+    if (written.size !== copied) {
+      throw new Error(`Size mismatch for ${destPath}: read ${copied} bytes, wrote ${written.size}`);
+    }
+    entry.copiedSize = copied;
+
+    if (await lstatOrNull(destSftp, destPath)) {
+      await sftpFiles.replaceFile(destSftp, tempPath, destPath);
+      return 'overwritten';
+    }
+    await sftpFiles.call(destSftp, 'rename', tempPath, destPath);
+    return 'copied';
+  } catch (err) {
+    await sftpFiles.call(destSftp, 'unlink', tempPath).catch(() => {});
+    throw err;
+  }
+}
+
+// Recreate one collected entry on the destination
+async function copyEntry(context, sourceDir, entry, onBytes) {
+  const { destSftp, targetDir } = context;
+  const sourcePath = path.join(sourceDir, entry.relPath);
+  const destPath = path.join(targetDir, entry.relPath);
+
+  if (entry.type === 'directory') {
+    const existing = await lstatOrNull(destSftp, destPath);
+    if (!existing) {
+      await sftpFiles.call(destSftp, 'mkdir', destPath, { mode: entry.mode });
+    } else if (sftpFiles.fileType(existing.mode) !== 'directory') {
+      throw new Error(`${destPath} exists and is not a directory`);
+    }
+    return 'copied';
+  }
+
+  if (entry.type === 'symlink') {
+    if (await lstatOrNull(destSftp, destPath)) {
+      await sftpFiles.call(destSftp, 'unlink', destPath);
+    }
+    await sftpFiles.call(destSftp, 'symlink', entry.target, destPath);
+    return 'copied';
+  }
+
+  return copyFile(context, entry, sourcePath, destPath, onBytes);
+}
+
+// Copy paths from the source connection into a directory on the destination connection
+// Options: { targetDir, conflict, onProgress({ bytesCopied, bytesTotal, file }) }
+// Resolves with { targetDir, bytesCopied, items: [{ source, path, type, size, files, status, error?, sizeChanged? }] }
+// where status is copied, overwritten, skipped, conflict or failed, and sizeChanged lists
+// files ({ path, plannedSize, copiedSize }) that grew or shrank while the copy ran. Items are copied one
+// after another; a failure inside a directory stops that directory but not the others.
+async function copyBetweenHosts(sourceConnection, destConnection, sourcePaths, { targetDir, conflict = 'fail', onProgress } = {}) {
+  if (!Array.isArray(sourcePaths) || !sourcePaths.length || sourcePaths.some(item => typeof item !== 'string' || !item.trim())) {
+    throw httpError('sourcePaths must be a non-empty list of paths', 400);
+  }
+
+  const sourceSftp = await sftpFiles.getSftp(sourceConnection);
+  const destSftp = await sftpFiles.getSftp(destConnection);
+  const destDir = await sftpFiles.call(destSftp, 'realpath', sftpFiles.expandHome(targetDir || '.'));
+  const dirStats = await sftpFiles.call(destSftp, 'stat', destDir);
+  if (sftpFiles.fileType(dirStats.mode) !== 'directory') {
+    throw httpError(`${destDir} is not a directory`, 400);
+  }
+
+  // Work out everything to copy first, so progress has a total and copying a directory
+  // into itself stops at what was there when the copy started
+  const limit = { remaining: COPY_MAX_ENTRIES };
+  const plans = [];
+  for (const sourcePath of sourcePaths) {
+    const expanded = sftpFiles.expandHome(sourcePath.trim());
+    const parentDir = await sftpFiles.call(sourceSftp, 'realpath', path.dirname(expanded));
+    const resolved = path.join(parentDir, path.basename(expanded));
+    if (resolved === '/' || path.basename(expanded) === '..') {
+      throw httpError(`Refusing to copy ${sourcePath}`, 400);
+    }
+    // A link given as a source is followed: what it points to is copied under the link's name
+    const stats = await sftpFiles.call(sourceSftp, 'stat', resolved);
+    const entries = await collectItem(sourceSftp, resolved, stats, limit);
+    plans.push({ source: resolved, entries });
+  }
+
+  const bytesTotal = plans.reduce((sum, plan) => sum + plan.entries.reduce((size, entry) => size + entry.size, 0), 0);
+  let bytesCopied = 0;
+  let lastProgress = 0;
+  let currentFile = null;
+  const reportProgress = (force) => {
+    const now = Date.now();
+    if (onProgress && (force || now - lastProgress >= PROGRESS_INTERVAL)) {
+      lastProgress = now;
+      onProgress({ bytesCopied, bytesTotal, file: currentFile });
+    }
+  };
+  const onBytes = (count) => {
+    bytesCopied += count;
+    reportProgress(false);
+  };
+
+  const context = { sourceSftp, destSftp, targetDir: destDir };
+  const items = [];
+  for (const { source, entries } of plans) {
+    const top = entries[0];
+    const item = {
+      source,
+      path: path.join(destDir, top ? top.relPath : path.basename(source)),
+      type: top ? top.type : 'other',
+      size: entries.reduce((sum, entry) => sum + entry.size, 0),
+      files: entries.filter(entry => entry.type === 'file').length
+    };
+    items.push(item);
+
+    if (!top) {
+      item.status = 'failed';
+      item.error = 'Only files, directories and links can be copied';
+      continue;
+    }
+
+    const existing = await lstatOrNull(destSftp, item.path);
+    if (existing && conflict !== 'overwrite') {
+      item.status = conflict === 'skip' ? 'skipped' : 'conflict';
+      bytesCopied += item.size;
+      continue;
+    }
+
+    const sourceDir = path.dirname(source);
+    try {
+      let status = 'copied';
+      for (const entry of entries) {
+        currentFile = path.join(sourceDir, entry.relPath);
+        reportProgress(false);
+        const entryStatus = await copyEntry(context, sourceDir, entry, onBytes);
+        if (entry === top) status = existing ? 'overwritten' : entryStatus;
+      }
+      item.status = status;
+
+      // Files that changed size since the copy was planned are reported, not failed
+      const changed = entries.filter(entry => entry.copiedSize !== undefined && entry.copiedSize !== entry.size);
+      if (changed.length) {
+        item.size += changed.reduce((sum, entry) => sum + entry.copiedSize - entry.size, 0);
+        item.sizeChanged = changed.map(entry => ({
+          path: path.join(destDir, entry.relPath),
+          plannedSize: entry.size,
+          copiedSize: entry.copiedSize
+        }));
+        console.log(`Copy of ${source}: ${changed.length} file(s) changed size while copying`);
+      }
+    } catch (err) {
+      console.error(`Copy of ${source} to ${item.path} failed:`, err.message);
+      item.status = 'failed';
+      item.error = err.message;
+    }
+  }
+
+  currentFile = null;
+  reportProgress(true);
+  return { targetDir: destDir, bytesCopied, items };
+}
+
+module.exports = {
+  CONFLICT_POLICIES,
+  copyBetweenHosts
+};
@@ -0,0 +1,263 @@
+// Port forwarding over an SSH connection
+// Local forwards listen on the gateway and tunnel through forwardOut;
+// remote forwards bind on the SSH host through forwardIn and connect out from the gateway.
+const net = require('net');
+const crypto = require('crypto');
+
+// Clients that already have a 'tcp connection' handler for remote forwards
+const clientsWithRemoteHandler = new WeakSet();
+
+// Get (and lazily create) the forward registry for a connection
+function getForwards(connection) {
+  if (!connection.forwards) {
+    connection.forwards = new Map();
+  }
+  return connection.forwards;
+}
+
+// Public view of a forward, without sockets and servers
+function describeForward(forward) {
+  return {
+    id: forward.id,
+    type: forward.type,
+    bindAddr: forward.bindAddr,
+    bindPort: forward.bindPort,
+    destHost: forward.destHost,
+    destPort: forward.destPort,
+    createdAt: forward.createdAt,
+    activeConnections: forward.sockets.size,
+    totalConnections: forward.totalConnections,
+    bytesToRemote: forward.bytesToRemote,
+    bytesFromRemote: forward.bytesFromRemote
+  };
+}
+
+// List a connection's forwards
+function listForwards(connection) {
+  return Array.from(getForwards(connection).values()).map(describeForward);
+}
+
+// Create the bookkeeping object shared by both forward types
+function newForward(type, { bindAddr, bindPort, destHost, destPort }) {
+  return {
+    id: crypto.randomBytes(8).toString('hex'),
+    type,
+    bindAddr,
+    bindPort,
+    destHost,
+    destPort,
+    createdAt: new Date().toISOString(),
+    sockets: new Set(),
+    totalConnections: 0,
+    bytesToRemote: 0,
+    bytesFromRemote: 0,
+    server: null
+  };
+}
+
+// Pipe a gateway-side socket and an SSH channel together while counting bytes
+function bridge(forward, socket, channel) {
+  forward.sockets.add(socket);
+  forward.totalConnections++;
+
+  socket.on('data', (chunk) => {
+    forward.bytesToRemote += chunk.length;
+  });
+  channel.on('data', (chunk) => {
+    forward.bytesFromRemote += chunk.length;
+  });
+
+  const close = () => {
+    forward.sockets.delete(socket);
+    socket.destroy();
+    channel.close();
+  };
+  socket.on('close', close);
+  socket.on('error', close);
+  channel.on('close', close);
+  channel.on('error', close);
+
+  socket.pipe(channel).pipe(socket);
+}
+
+// Start a local forward: gateway bindAddr:bindPort -> SSH host -> destHost:destPort
+function createLocalForward(connection, options) {
+  return new Promise((resolve, reject) => {
+    const forward = newForward('local', options);
+
+    const server = net.createServer((socket) => {
+      if (!connection.client) {
+        return socket.destroy();
+      }
+
+      // Until the channel is open, a client that resets the connection must not take the
+      // gateway down, and closing the forward must close this socket too
+      const onEarlyError = (err) => {
+        console.error(`Local forward ${forward.id} client error before the channel opened: ${err.message}`);
+      };
+      socket.on('error', onEarlyError);
+      socket.once('close', () => forward.sockets.delete(socket));
+      forward.sockets.add(socket);
+
+      socket.pause();
+      connection.client.forwardOut(
+        socket.remoteAddress || '127.0.0.1',
+        socket.remotePort || 0,
+        forward.destHost,
+        forward.destPort,
+        (err, channel) => {
+          if (err) {
+            console.error(`Local forward ${forward.id} could not open channel: ${err.message}`);
+            return socket.destroy();
+          }
+          if (socket.destroyed) {
+            // The client went away while the channel was being opened
+            forward.sockets.delete(socket);
+            return channel.close();
+          }
+          socket.removeListener('error', onEarlyError);
+          bridge(forward, socket, channel);
+          socket.resume();
+        }
+      );
+    });
+
+    server.once('error', reject);
+    server.listen(forward.bindPort, forward.bindAddr, () => {
+      server.removeListener('error', reject);
+      server.on('error', (err) => console.error(`Local forward ${forward.id} error:`, err));
+      forward.server = server;
+      forward.bindPort = server.address().port;
+      getForwards(connection).set(forward.id, forward);
+      console.log(`Local forward ${forward.bindAddr}:${forward.bindPort} -> ${forward.destHost}:${forward.destPort} for connection ${connection.id}`);
+      resolve(describeForward(forward));
+    });
+  });
+}
+
+// Addresses that mean "every interface" in a remote forward's bind address
+const WILDCARD_ADDRS = ['', '0.0.0.0', '::', '*'];
+
+// Find the remote forward an incoming connection belongs to
+// Forwards on the same port are told apart by bind address: an exact match wins over a
+// wildcard one. A lone forward on the port is used even if the server reports its address
+// in another form (e.g. an IP for "localhost").
+function findRemoteForward(connection, info) {
+  const candidates = Array.from(getForwards(connection).values()).filter(f => (
+    f.type === 'remote' && f.bindPort === info.destPort
+  ));
+  if (candidates.length <= 1) {
+    return candidates[0];
+  }
+
+  return candidates.find(f => f.bindAddr === info.destIP)
+    || candidates.find(f => WILDCARD_ADDRS.includes(f.bindAddr));
+}
+
+// Route incoming forwarded connections from the SSH host to the matching remote forward
+function attachRemoteHandler(connection, client) {
+  if (clientsWithRemoteHandler.has(client)) return;
+  clientsWithRemoteHandler.add(client);
+
+  client.on('tcp connection', (info, accept, reject) => {
+    const forward = findRemoteForward(connection, info);
+
+    if (!forward) {
+      return reject();
+    }
+
+    const socket = net.connect(forward.destPort, forward.destHost, () => {
+      const channel = accept();
+      bridge(forward, socket, channel);
+    });
+    socket.once('error', (err) => {
+      console.error(`Remote forward ${forward.id} could not reach ${forward.destHost}:${forward.destPort}: ${err.message}`);
+      reject();
+    });
+  });
+}
+
+// Start a remote forward: SSH host bindAddr:bindPort -> gateway -> destHost:destPort
+function createRemoteForward(connection, options) {
+  return new Promise((resolve, reject) => {
+    const client = connection.client;
+    const forward = newForward('remote', options);
+
+    attachRemoteHandler(connection, client);
+    client.forwardIn(forward.bindAddr, forward.bindPort, (err, assignedPort) => {
+      if (err) {
+        return reject(err);
+      }
+
+      if (assignedPort) {
+        forward.bindPort = assignedPort;
+      }
+      getForwards(connection).set(forward.id, forward);
+      console.log(`Remote forward ${forward.bindAddr}:${forward.bindPort} -> ${forward.destHost}:${forward.destPort} for connection ${connection.id}`);
+      resolve(describeForward(forward));
+    });
+  });
+}
+
+// Request every remote forward again on a new SSH connection (after a reconnect)
+// Local forwards need nothing: they open channels on whatever connection.client is current.
+function restoreRemoteForwards(connection) {
+  const remoteForwards = Array.from(getForwards(connection).values()).filter(f => f.type === 'remote');
+  if (remoteForwards.length === 0 || !connection.client) return;
+
+  attachRemoteHandler(connection, connection.client);
+  remoteForwards.forEach((forward) => {
+    connection.client.forwardIn(forward.bindAddr, forward.bindPort, (err) => {
+      if (err) {
+        console.error(`Could not restore remote forward ${forward.id} on ${forward.bindAddr}:${forward.bindPort}: ${err.message}`);
+        getForwards(connection).delete(forward.id);
+        return;
+      }
+      console.log(`Restored remote forward ${forward.bindAddr}:${forward.bindPort} for connection ${connection.id}`);
+    });
+  });
+}
+
+// Close one forward and every connection going through it
+function closeForward(connection, forwardId) {
+  const forwards = getForwards(connection);
+  const forward = forwards.get(forwardId);
+  if (!forward) {
+    return false;
+  }
+
+  forwards.delete(forwardId);
+  forward.sockets.forEach(socket => socket.destroy());
+  forward.sockets.clear();
+
+  if (forward.type === 'local' && forward.server) {
+    forward.server.close();
+  } else if (forward.type === 'remote' && connection.client) {
+    try {
+      connection.client.unforwardIn(forward.bindAddr, forward.bindPort, (err) => {
+        if (err) console.error(`Error removing remote forward ${forward.id}:`, err.message);
+      });
+    } catch (err) {
+      console.error(`Error removing remote forward ${forward.id}:`, err);
+    }
+  }
+
+  console.log(`Closed ${forward.type} forward ${forward.id} for connection ${connection.id}`);
+  return true;
+}
+
+// Close every forward of a connection (used when the connection is closed)
+function closeAllForwards(connection) {
+  if (!connection.forwards) return;
+  Array.from(connection.forwards.keys()).forEach(id => closeForward(connection, id));
+}
+
+module.exports = {
+  bridge,
+  listForwards,
+  createLocalForward,
+  createRemoteForward,
+  restoreRemoteForwards,
+  closeForward,
+  closeAllForwards
+};
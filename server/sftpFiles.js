@@ -0,0 +1,275 @@
+// Remote file access over the SFTP subsystem of an SSH connection
+// One SFTP session is opened lazily per connection and reused by every request;
+// it is reopened when the connection has been replaced by a reconnect.
+const path = require('path').posix;
+
+// SFTP status codes (draft-ietf-secsh-filexfer-02) that get their own HTTP status
+const SFTP_NO_SUCH_FILE = 2;
+const SFTP_PERMISSION_DENIED = 3;
+
+// File type bits of a POSIX mode
+const S_IFMT = 0o170000;
+const S_IFDIR = 0o040000;
+const S_IFREG = 0o100000;
+const S_IFLNK = 0o120000;
+
+// Sort keys accepted by listDirectory
+const SORT_KEYS = ['name', 'size', 'mtime', 'type'];
+
+// Get the connection's SFTP session, opening it on first use
+function getSftp(connection) {
+  const client = connection.client;
+  if (!client || !connection.ready) {
+    return Promise.reject(new Error('SSH connection is not ready'));
+  }
+
+  if (connection.sftp && connection.sftp.client === client) {
+    return connection.sftp.pending;
+  }
+
+  const entry = { client, sftp: null, pending: null };
+  entry.pending = new Promise((resolve, reject) => {
+    client.sftp((err, sftp) => {
+      if (err) {
+        if (connection.sftp === entry) connection.sftp = null;
+        return reject(err);
+      }
+
+      entry.sftp = sftp;
+      sftp.on('close', () => {
+        if (connection.sftp === entry) connection.sftp = null;
+      });
+      console.log(`SFTP session opened for connection ${connection.id}`);
+      resolve(sftp);
+    });
+  });
+
+  connection.sftp = entry;
+  return entry.pending;
+}
+
+// Close the connection's SFTP session (used when the connection is closed)
+function closeSftp(connection) {
+  const entry = connection.sftp;
+  if (!entry) return;
+
+  connection.sftp = null;
+  if (entry.sftp) {
+    entry.sftp.end();
+  }
+}
+
+// Map an SFTP error to an HTTP status code
+function sftpErrorStatus(err) {
+  if (err.code === SFTP_NO_SUCH_FILE) return 404;
+  if (err.code === SFTP_PERMISSION_DENIED) return 403;
+  return 400;
+}
+
+// Wrap a callback-style SFTP method in a promise
+function call(sftp, method, ...args) {
+  return new Promise((resolve, reject) => {
+    sftp[method](...args, (err, result) => (err ? reject(err) : resolve(result)));
+  });
+}
+
+// Turn a mode into its file type name
+function fileType(mode) {
+  switch (mode & S_IFMT) {
+    case S_IFDIR: return 'directory';
+    case S_IFREG: return 'file';
+    case S_IFLNK: return 'symlink';
+    default: return 'other';
+  }
+}
+
+// Format a mode like ls does, e.g. drwxr-xr-x
+function formatPermissions(mode) {
+  const typeChar = { directory: 'd', symlink: 'l', file: '-' }[fileType(mode)] || '?';
+  const bits = 'rwxrwxrwx'.split('').map((char, i) => ((mode & (1 << (8 - i))) ? char : '-'));
+
+  // setuid, setgid and sticky bits replace the matching execute bits
+  if (mode & 0o4000) bits[2] = bits[2] === 'x' ? 's' : 'S';
+  if (mode & 0o2000) bits[5] = bits[5] === 'x' ? 's' : 'S';
+  if (mode & 0o1000) bits[8] = bits[8] === 'x' ? 't' : 'T';
+
+  return typeChar + bits.join('');
+}
+
+// Read owner and group names from an ls-style longname, if the server sent one
+function parseOwner(longname) {
+  const parts = String(longname || '').trim().split(/\s+/);
+  if (parts.length < 4 || !/^[-dlcbps?]/.test(parts[0])) {
+    return { owner: null, group: null };
+  }
+  return { owner: parts[2], group: parts[3] };
+}
+
+// Build the public description of one directory entry
+function describeEntry(dirPath, { filename, longname, attrs }) {
+  const { owner, group } = parseOwner(longname);
+  return {
+    name: filename,
+    path: path.join(dirPath, filename),
+    type: fileType(attrs.mode),
+    size: attrs.size,
+    mode: attrs.mode & 0o7777,
+    permissions: formatPermissions(attrs.mode),
+    owner: owner || String(attrs.uid),
+    group: group || String(attrs.gid),
+    uid: attrs.uid,
+    gid: attrs.gid,
+    mtime: new Date(attrs.mtime * 1000).toISOString(),
+    hidden: filename.startsWith('.'),
+    target: null,
+    targetType: null
+  };
+}
+
+// Fill in where symlinks point and what they point at (broken links keep targetType null)
+async function resolveSymlink(sftp, entry) {
+  try {
+    entry.target = await call(sftp, 'readlink', entry.path);
+  } catch (err) {
+    return;
+  }
+  try {
+    const stats = await call(sftp, 'stat', entry.path);
+    entry.targetType = fileType(stats.mode);
+  } catch (err) {
+    // Broken link
+  }
+}
+
+// Sort entries with directories (and links to directories) first
+function sortEntries(entries, sortBy, order) {
+  const direction = order === 'desc' ? -1 : 1;
+  const isDir = entry => entry.type === 'directory' || entry.targetType === 'directory';
+  const byName = (a, b) => a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' });
+
+  const compare = {
+    name: byName,
+    size: (a, b) => a.size - b.size,
+    mtime: (a, b) => a.mtime.localeCompare(b.mtime),
+    type: (a, b) => a.type.localeCompare(b.type) || path.extname(a.name).localeCompare(path.extname(b.name))
+  }[sortBy];
+
+  return entries.sort((a, b) => {
+    if (isDir(a) !== isDir(b)) return isDir(a) ? -1 : 1;
+    return (compare(a, b) * direction) || byName(a, b);
+  });
+}
+
+// Turn ~ and ~/... into paths relative to the login directory (how SFTP resolves relative paths)
+function expandHome(remotePath) {
+  if (remotePath === '~' || remotePath.startsWith('~/')) {
+    return '.' + remotePath.slice(1);
+  }
+  return remotePath;
+}
+
+// List a remote directory
+// An empty path or ~ lists the login (home) directory; relative paths are resolved against it.
+// Options: { showHidden, sortBy: 'name' | 'size' | 'mtime' | 'type', order: 'asc' | 'desc' }
+async function listDirectory(connection, dirPath, { showHidden = false, sortBy = 'name', order = 'asc' } = {}) {
+  const sftp = await getSftp(connection);
+
+  const resolved = await call(sftp, 'realpath', expandHome(dirPath || '.'));
+
+  const list = await call(sftp, 'readdir', resolved);
+  let entries = list
+    .filter(item => item.filename !== '.' && item.filename !== '..')
+    .map(item => describeEntry(resolved, item));
+
+  if (!showHidden) {
+    entries = entries.filter(entry => !entry.hidden);
+  }
+
+  await Promise.all(entries.filter(entry => entry.type === 'symlink').map(entry => resolveSymlink(sftp, entry)));
+
+  return {
+    path: resolved,
+    parent: resolved === '/' ? null : path.dirname(resolved),
+    entries: sortEntries(entries, SORT_KEYS.includes(sortBy) ? sortBy : 'name', order)
+  };
+}
+
+// Describe a single remote path (symlinks are followed)
+async function statPath(connection, remotePath) {
+  const sftp = await getSftp(connection);
+  const resolved = expandHome(remotePath);
+  const stats = await call(sftp, 'stat', resolved);
+
+  return {
+    path: resolved,
+    name: path.basename(resolved),
+    type: fileType(stats.mode),
+    size: stats.size,
+    mode: stats.mode & 0o7777,
+    mtime: new Date(stats.mtime * 1000)
+  };
+}
+
+// Open a read stream on a remote file; start and end are inclusive byte offsets
+async function createReadStream(connection, remotePath, { start, end } = {}) {
+  const sftp = await getSftp(connection);
+  return sftp.createReadStream(expandHome(remotePath), { start, end });
+}
+
+// Read up to length bytes starting at offset with positioned reads (stops early at end of file)
+async function readRange(sftp, remotePath, offset, length) {
+  const handle = await call(sftp, 'open', remotePath, 'r');
+  const buffer = Buffer.alloc(length);
+  let filled = 0;
+  try {
+    while (filled < length) {
+      const bytesRead = await new Promise((resolve, reject) => {
+        sftp.read(handle, buffer, filled, length - filled, offset + filled, (err, count) => {
+          // Reading past the end reports EOF as an error on some servers
+          if (err && err.code === 1) return resolve(0);
+          return err ? reject(err) : resolve(count);
+        });
+      });
+      if (!bytesRead) break;
+      filled += bytesRead;
+    }
+  } finally {
+    await call(sftp, 'close', handle).catch(() => {});
+  }
+  return buffer.subarray(0, filled);
+}
+
+// Replace an existing file with a finished temporary file, keeping the old permissions
+async function replaceFile(sftp, tempPath, destPath) {
+  const existing = await call(sftp, 'stat', destPath).catch(() => null);
+  if (existing && fileType(existing.mode) === 'directory') {
+    throw new Error(`${destPath} is a directory`);
+  }
+
+  if (existing) {
+    await call(sftp, 'chmod', tempPath, existing.mode & 0o7777).catch(() => {});
+  }
+
+  // posix-rename replaces atomically where the server supports it
+  try {
+    await call(sftp, 'ext_openssh_rename', tempPath, destPath);
+  } catch (err) {
+    await call(sftp, 'unlink', destPath);
+    await call(sftp, 'rename', tempPath, destPath);
+  }
+}
+
+module.exports = {
+  SORT_KEYS,
+  getSftp,
+  closeSftp,
+  sftpErrorStatus,
+  call,
+  fileType,
+  expandHome,
+  listDirectory,
+  statPath,
+  createReadStream,
+  readRange,
+  replaceFile
+};
@@ -0,0 +1,278 @@
+// Dynamic SOCKS5 proxy over an SSH connection (like `ssh -D`)
+// Each CONNECT request becomes a forwardOut channel on connection.client.
+const net = require('net');
+const crypto = require('crypto');
+const { bridge } = require('./portForwards');
+
+// SOCKS5 protocol constants (RFC 1928 / RFC 1929)
+const SOCKS_VERSION = 0x05;
+const AUTH_VERSION = 0x01;
+const METHOD_NO_AUTH = 0x00;
+const METHOD_USER_PASS = 0x02;
+const METHOD_NONE_ACCEPTABLE = 0xff;
+const CMD_CONNECT = 0x01;
+const ATYP_IPV4 = 0x01;
+const ATYP_DOMAIN = 0x03;
+const ATYP_IPV6 = 0x04;
+const REPLY_SUCCEEDED = 0x00;
+const REPLY_GENERAL_FAILURE = 0x01;
+const REPLY_CONNECTION_REFUSED = 0x05;
+const REPLY_COMMAND_NOT_SUPPORTED = 0x07;
+const REPLY_ADDRESS_NOT_SUPPORTED = 0x08;
+
+// Give up on clients that never finish the SOCKS handshake
+const HANDSHAKE_TIMEOUT = 10000;
+
+// Public view of a connection's proxy
+function describeSocksProxy(proxy) {
+  if (!proxy) {
+    return { enabled: false };
+  }
+
+  return {
+    enabled: true,
+    bindAddr: proxy.bindAddr,
+    bindPort: proxy.bindPort,
+    authRequired: !!proxy.auth,
+    createdAt: proxy.createdAt,
+    activeConnections: proxy.sockets.size,
+    totalConnections: proxy.totalConnections,
+    bytesToRemote: proxy.bytesToRemote,
+    bytesFromRemote: proxy.bytesFromRemote
+  };
+}
+
+// Compare credentials without leaking their length or content through timing
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(a).digest();
+  const hashB = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+// Build a SOCKS5 reply (bound address is always reported as 0.0.0.0:0)
+function socksReply(code) {
+  return Buffer.from([SOCKS_VERSION, code, 0x00, ATYP_IPV4, 0, 0, 0, 0, 0, 0]);
+}
+
+// Parse a CONNECT request; returns null until the whole request has arrived
+function parseRequest(buffer) {
+  if (buffer.length < 5) return null;
+
+  const cmd = buffer[1];
+  const atyp = buffer[3];
+  let host;
+  let offset;
+
+  if (atyp === ATYP_IPV4) {
+    if (buffer.length < 10) return null;
+    host = Array.from(buffer.slice(4, 8)).join('.');
+    offset = 8;
+  } else if (atyp === ATYP_DOMAIN) {
+    const length = buffer[4];
+    if (buffer.length < 5 + length + 2) return null;
+    host = buffer.slice(5, 5 + length).toString('utf8');
+    offset = 5 + length;
+  } else if (atyp === ATYP_IPV6) {
+    if (buffer.length < 22) return null;
+    const groups = [];
+    for (let i = 0; i < 8; i++) {
+      groups.push(buffer.readUInt16BE(4 + i * 2).toString(16));
+    }
+    host = groups.join(':');
+    offset = 20;
+  } else {
+    return { cmd, atyp, unsupportedAddress: true, length: buffer.length };
+  }
+
+  return { cmd, atyp, host, port: buffer.readUInt16BE(offset), length: offset + 2 };
+}
+
+// Drive the SOCKS5 handshake for one client socket
+function handleSocksConnection(proxy, connection, socket) {
+  let buffer = Buffer.alloc(0);
+  let stage = 'greeting';
+
+  // Tracked from the start, so stopping the proxy also closes clients still in the handshake
+  proxy.sockets.add(socket);
+
+  const timer = setTimeout(() => socket.destroy(), HANDSHAKE_TIMEOUT);
+  socket.on('error', () => socket.destroy());
+  socket.on('close', () => {
+    clearTimeout(timer);
+    proxy.sockets.delete(socket);
+  });
+
+  const fail = (code) => {
+    clearTimeout(timer);
+    socket.end(socksReply(code));
+  };
+
+  const onData = (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+
+    if (stage === 'greeting') {
+      if (buffer.length < 2 || buffer.length < 2 + buffer[1]) return;
+      if (buffer[0] !== SOCKS_VERSION) return socket.destroy();
+
+      const methods = Array.from(buffer.slice(2, 2 + buffer[1]));
+      buffer = buffer.slice(2 + buffer[1]);
+
+      const method = proxy.auth ? METHOD_USER_PASS : METHOD_NO_AUTH;
+      if (!methods.includes(method)) {
+        return socket.end(Buffer.from([SOCKS_VERSION, METHOD_NONE_ACCEPTABLE]));
+      }
+
+      socket.write(Buffer.from([SOCKS_VERSION, method]));
+      stage = proxy.auth ? 'auth' : 'request';
+    }
+
+    if (stage === 'auth') {
+      // VER ULEN UNAME PLEN PASSWD
+      if (buffer.length < 2) return;
+      const userLength = buffer[1];
+      if (buffer.length < 2 + userLength + 1) return;
+      const passLength = buffer[2 + userLength];
+      if (buffer.length < 3 + userLength + passLength) return;
+
+      const username = buffer.slice(2, 2 + userLength).toString('utf8');
+      const password = buffer.slice(3 + userLength, 3 + userLength + passLength).toString('utf8');
+      buffer = buffer.slice(3 + userLength + passLength);
+
+      const usernameValid = safeEqual(username, proxy.auth.username);
+      const passwordValid = safeEqual(password, proxy.auth.password);
+      if (!usernameValid || !passwordValid) {
+        console.warn(`SOCKS proxy for connection ${connection.id}: authentication failed for ${socket.remoteAddress}`);
+        return socket.end(Buffer.from([AUTH_VERSION, 0x01]));
+      }
+
+      socket.write(Buffer.from([AUTH_VERSION, 0x00]));
+      stage = 'request';
+    }
+
+    if (stage === 'request') {
+      const request = parseRequest(buffer);
+      if (!request) return;
+
+      socket.removeListener('data', onData);
+      stage = 'connecting';
+
+      if (request.unsupportedAddress) {
+        return fail(REPLY_ADDRESS_NOT_SUPPORTED);
+      }
+      if (request.cmd !== CMD_CONNECT) {
+        return fail(REPLY_COMMAND_NOT_SUPPORTED);
+      }
+      if (!connection.client) {
+        return fail(REPLY_GENERAL_FAILURE);
+      }
+
+      // Anything the client sent after the request goes out once the channel is open
+      const earlyData = buffer.slice(request.length);
+      socket.pause();
+
+      connection.client.forwardOut(
+        socket.remoteAddress || '127.0.0.1',
+        socket.remotePort || 0,
+        request.host,
+        request.port,
+        (err, channel) => {
+          if (err) {
+            console.error(`SOCKS proxy for connection ${connection.id} could not reach ${request.host}:${request.port}: ${err.message}`);
+            return fail(REPLY_CONNECTION_REFUSED);
+          }
+          if (socket.destroyed) {
+            // The client went away (or the proxy was stopped) while the channel was being opened
+            return channel.close();
+          }
+
+          clearTimeout(timer);
+          socket.write(socksReply(REPLY_SUCCEEDED));
+          if (earlyData.length) {
+            channel.write(earlyData);
+          }
+          bridge(proxy, socket, channel);
+          socket.resume();
+        }
+      );
+    }
+  };
+
+  socket.on('data', onData);
+}
+
+// Start the SOCKS5 listener for a connection
+// While it is starting, connection.socksProxyStarting holds the pending start, so a second
+// request can't start another listener and stopSocksProxy can cancel it.
+function startSocksProxy(connection, options) {
+  if (connection.socksProxy || connection.socksProxyStarting) {
+    return Promise.reject(new Error('SOCKS proxy is already enabled for this connection'));
+  }
+
+  const start = { cancelled: false };
+  connection.socksProxyStarting = start;
+  return listenSocksProxy(connection, options, start).finally(() => {
+    connection.socksProxyStarting = null;
+  });
+}
+
+// Open the listener and register the proxy on the connection
+function listenSocksProxy(connection, { bindAddr, bindPort, auth }, start) {
+  return new Promise((resolve, reject) => {
+    const proxy = {
+      bindAddr,
+      bindPort,
+      auth: auth || null,
+      createdAt: new Date().toISOString(),
+      sockets: new Set(),
+      totalConnections: 0,
+      bytesToRemote: 0,
+      bytesFromRemote: 0,
+      server: null
+    };
+
+    const server = net.createServer(socket => handleSocksConnection(proxy, connection, socket));
+
+    server.once('error', reject);
+    server.listen(bindPort, bindAddr, () => {
+      server.removeListener('error', reject);
+      if (start.cancelled) {
+        // The proxy was stopped (or the connection closed) while the listener was binding
+        server.close();
+        return reject(new Error('SOCKS proxy was stopped before it started listening'));
+      }
+      server.on('error', (err) => console.error(`SOCKS proxy error for connection ${connection.id}:`, err));
+      proxy.server = server;
+      proxy.bindPort = server.address().port;
+      connection.socksProxy = proxy;
+      console.log(`SOCKS proxy listening on ${proxy.bindAddr}:${proxy.bindPort} for connection ${connection.id}`);
+      resolve(describeSocksProxy(proxy));
+    });
+  });
+}
+
+// Stop a connection's SOCKS5 listener and close its client sockets, or cancel a listener still starting
+function stopSocksProxy(connection) {
+  const proxy = connection.socksProxy;
+  if (!proxy) {
+    if (!connection.socksProxyStarting) {
+      return false;
+    }
+    connection.socksProxyStarting.cancelled = true;
+    console.log(`SOCKS proxy start cancelled for connection ${connection.id}`);
+    return true;
+  }
+
+  connection.socksProxy = null;
+  proxy.sockets.forEach(socket => socket.destroy());
+  proxy.sockets.clear();
+  proxy.server.close();
+
+  console.log(`SOCKS proxy stopped for connection ${connection.id}`);
+  return true;
+}
+
+module.exports = {
+  describeSocksProxy,
+  startSocksProxy,
+  stopSocksProxy
+};
@@ -0,0 +1,807 @@
+// In-band ZMODEM transfers (rz/sz) inside a shell channel's output
+// Hosts reachable only through chains without SFTP can still move files with rz and sz.
+// The handler sits between the channel and the terminal: it watches the raw output for
+// a ZMODEM handshake, takes the channel over while the transfer runs (the binary payload
+// never reaches the terminal or the transcript) and hands normal output back afterwards.
+// Downloads (the host runs sz) are collected in memory and passed on as whole files;
+// uploads (the host runs rz) wait for the browser to supply the files.
+// trzsz handshakes are recognised but not driven: the user is told to cancel and use rz/sz.
+const crypto = require('crypto');
+
+// Largest file moved in either direction (transfers are held in memory; default 100 MB)
+const ZMODEM_MAX_FILE_SIZE = parseInt(process.env.ZMODEM_MAX_FILE_SIZE, 10) || 100 * 1024 * 1024;
+
+// Most bytes one sz run may send, over all its files (default 200 MB)
+const ZMODEM_MAX_TRANSFER_SIZE = parseInt(process.env.ZMODEM_MAX_TRANSFER_SIZE, 10) || 200 * 1024 * 1024;
+
+// Give up when the host has been silent this long during a transfer
+const IDLE_TIMEOUT = 60000;
+
+// How long rz may wait for the browser to pick files
+const FILE_WAIT_TIMEOUT = 5 * 60 * 1000;
+
+// How long output that could be the start of a handshake is held back
+const HOLD_DELAY = 100;
+
+// Minimum time between progress events
+const PROGRESS_INTERVAL = 250;
+
+// Data subpacket size used when sending
+const SUBPACKET_SIZE = 1024;
+
+// Largest data subpacket accepted (lrzsz sends at most 8 KB)
+const MAX_SUBPACKET_SIZE = 16 * 1024;
+
+// Framing bytes
+const ZPAD = 0x2a;
+const ZDLE = 0x18;
+const ZBIN = 0x41;
+const ZHEX = 0x42;
+const ZBIN32 = 0x43;
+const XON = 0x11;
+
+// Frame types
+const ZRQINIT = 0;
+const ZRINIT = 1;
+const ZSINIT = 2;
+const ZACK = 3;
+const ZFILE = 4;
+const ZSKIP = 5;
+const ZNAK = 6;
+const ZABORT = 7;
+const ZFIN = 8;
+const ZRPOS = 9;
+const ZDATA = 10;
+const ZEOF = 11;
+const ZFERR = 12;
+const ZCRC = 13;
+const ZCAN = 16;
+const ZCOMMAND = 18;
+
+// Data subpacket ends
+const ZCRCE = 0x68; // End of frame, header follows
+const ZCRCG = 0x69; // Frame continues, no reply expected
+const ZCRCQ = 0x6a; // Frame continues, ZACK expected
+const ZCRCW = 0x6b; // End of frame, ZACK expected
+const ZRUB0 = 0x6c;
+const ZRUB1 = 0x6d;
+const FRAME_ENDS = new Set([ZCRCE, ZCRCG, ZCRCQ, ZCRCW]);
+
+// ZRINIT capability flags (in ZF0)
+const CANFDX = 0x01;
+const CANOVIO = 0x02;
+const CANFC32 = 0x20;
+const ESCCTL = 0x40;
+
+// ZFILE conversion option: binary transfer
+const ZCBIN = 1;
+
+// Bytes that must always be escaped, and flow control bytes to ignore when receiving
+const ESCAPED_BYTES = new Set([ZDLE, 0x10, 0x90, 0x11, 0x91, 0x13, 0x93]);
+const IGNORED_BYTES = new Set([0x11, 0x91, 0x13, 0x93]);
+
+// What follows a hex header: CR, LF (either possibly with the high bit set) and XON
+const HEX_TRAILER_BYTES = new Set([0x0d, 0x8d, 0x0a, 0x8a, XON]);
+
+// Five CANs in a row abort a transfer; we send eight followed by backspaces to wipe them
+const ABORT_SEQUENCE = Buffer.alloc(5, ZDLE);
+const CANCEL_SEQUENCE = Buffer.concat([Buffer.alloc(8, ZDLE), Buffer.alloc(8, 0x08)]);
+
+// Handshakes that start a transfer: sz announces itself with ZRQINIT, rz with ZRINIT
+const HANDSHAKES = [
+  { marker: '**\x18B00', kind: 'download' },
+  { marker: '**\x18B01', kind: 'upload' },
+  { marker: '::TRZSZ:TRANSFER:', kind: 'trzsz' }
+];
+
+const TRZSZ_NOTICE = '\r\n\x1b[33mtrzsz transfers are not supported by this gateway; press Ctrl+C and use rz/sz instead.\x1b[0m\r\n';
+
+const CRC16_TABLE = new Uint16Array(256).map((_, i) => {
+  let crc = i << 8;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 0x8000 ? (crc << 1) ^ 0x1021 : crc << 1;
+  }
+  return crc & 0xffff;
+});
+
+const CRC32_TABLE = new Uint32Array(256).map((_, i) => {
+  let crc = i;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 1 ? (crc >>> 1) ^ 0xedb88320 : crc >>> 1;
+  }
+  return crc >>> 0;
+});
+
+// CRC-16/XMODEM, used by hex and ZBIN headers and their data subpackets
+function crc16(bytes, crc = 0) {
+  for (const byte of bytes) {
+    crc = ((crc << 8) ^ CRC16_TABLE[((crc >> 8) ^ byte) & 0xff]) & 0xffff;
+  }
+  return crc;
+}
+
+// CRC-32 (IEEE), used by ZBIN32 headers and their data subpackets
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Header arguments carry positions little-endian
+function positionBytes(position) {
+  return [position & 0xff, (position >>> 8) & 0xff, (position >>> 16) & 0xff, (position >>> 24) & 0xff];
+}
+
+function readPosition(args) {
+  return args[0] + args[1] * 0x100 + args[2] * 0x10000 + args[3] * 0x1000000;
+}
+
+// Escape bytes for a binary header or data subpacket
+function zdleEncode(bytes, escapeControl) {
+  const out = [];
+  for (const byte of bytes) {
+    if (ESCAPED_BYTES.has(byte) || (escapeControl && (byte & 0x60) === 0)) {
+      out.push(ZDLE, byte ^ 0x40);
+    } else {
+      out.push(byte);
+    }
+  }
+  return out;
+}
+
+// Hex header (what receivers send): ** ZDLE B, hex type/args/CRC-16, CR LF and XON
+function hexHeader(type, args) {
+  const bytes = [type, ...args];
+  const crc = crc16(bytes);
+  const hex = [...bytes, crc >> 8, crc & 0xff].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  const trailer = type === ZFIN || type === ZACK ? [0x0d, 0x8a] : [0x0d, 0x8a, XON];
+  return Buffer.concat([Buffer.from([ZPAD, ZPAD, ZDLE, ZHEX]), Buffer.from(hex, 'latin1'), Buffer.from(trailer)]);
+}
+
+// Binary header with CRC-16 (what we send as the sender)
+function binaryHeader(type, args, escapeControl) {
+  const bytes = [type, ...args];
+  const crc = crc16(bytes);
+  return Buffer.from([ZPAD, ZDLE, ZBIN, ...zdleEncode([...bytes, crc >> 8, crc & 0xff], escapeControl)]);
+}
+
+// Data subpacket with CRC-16
+function dataSubpacket(data, frameEnd, escapeControl) {
+  const crc = crc16([frameEnd], crc16(data));
+  return Buffer.from([...zdleEncode(data, escapeControl), ZDLE, frameEnd, ...zdleEncode([crc >> 8, crc & 0xff], escapeControl)]);
+}
+
+// Incremental parser for what the host sends during a transfer
+// Both methods return null when more data is needed and consume nothing in that case.
+function createReader() {
+  let buffer = Buffer.alloc(0);
+
+  // Decode count ZDLE-escaped bytes starting at offset; null if incomplete, false if malformed
+  const decode = (offset, count) => {
+    const bytes = [];
+    let i = offset;
+    while (bytes.length < count) {
+      if (i >= buffer.length) return null;
+      const byte = buffer[i++];
+      if (IGNORED_BYTES.has(byte)) continue;
+      if (byte !== ZDLE) {
+        bytes.push(byte);
+        continue;
+      }
+      if (i >= buffer.length) return null;
+      const escaped = buffer[i++];
+      if (escaped === ZRUB0) bytes.push(0x7f);
+      else if (escaped === ZRUB1) bytes.push(0xff);
+      else if ((escaped & 0x60) === 0x40) bytes.push(escaped ^ 0x40);
+      else return false;
+    }
+    return { bytes, end: i };
+  };
+
+  // Drop a hex header's line ending so it does not show up in the terminal afterwards
+  const skipHexTrailer = () => {
+    let i = 0;
+    while (i < buffer.length && HEX_TRAILER_BYTES.has(buffer[i])) i++;
+    buffer = buffer.subarray(i);
+  };
+
+  return {
+    push(chunk) {
+      buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+    },
+
+    // Whatever has not been parsed (handed back to the terminal when a transfer ends)
+    takeRest() {
+      skipHexTrailer();
+      const rest = buffer;
+      buffer = Buffer.alloc(0);
+      return rest;
+    },
+
+    // Next header, skipping anything in front of it
+    // Resolves to { type, args, crc32 }, { aborted: true }, { error } or null.
+    readHeader() {
+      for (;;) {
+        if (buffer.includes(ABORT_SEQUENCE)) {
+          buffer = buffer.subarray(buffer.indexOf(ABORT_SEQUENCE) + ABORT_SEQUENCE.length);
+          return { aborted: true };
+        }
+
+        const start = buffer.indexOf(ZPAD);
+        if (start === -1) {
+          buffer = Buffer.alloc(0);
+          return null;
+        }
+        let i = start;
+        while (buffer[i] === ZPAD) i++;
+        if (i + 1 >= buffer.length) {
+          buffer = buffer.subarray(start);
+          return null;
+        }
+        if (buffer[i] !== ZDLE) {
+          buffer = buffer.subarray(i);
+          continue;
+        }
+
+        const format = buffer[i + 1];
+        if (format === ZHEX) {
+          if (i + 16 > buffer.length) {
+            buffer = buffer.subarray(start);
+            return null;
+          }
+          const hex = buffer.toString('latin1', i + 2, i + 16);
+          buffer = buffer.subarray(i + 16);
+          skipHexTrailer();
+          if (!/^[0-9a-fA-F]{14}$/.test(hex)) continue;
+          const bytes = hex.match(/../g).map(pair => parseInt(pair, 16));
+          if (crc16(bytes.slice(0, 5)) !== bytes[5] * 0x100 + bytes[6]) {
+            return { error: 'Bad header CRC' };
+          }
+          return { type: bytes[0], args: bytes.slice(1, 5), crc32: false };
+        }
+
+        if (format === ZBIN || format === ZBIN32) {
+          const is32 = format === ZBIN32;
+          const decoded = decode(i + 2, is32 ? 9 : 7);
+          if (decoded === null) {
+            buffer = buffer.subarray(start);
+            return null;
+          }
+          if (decoded === false) {
+            buffer = buffer.subarray(i + 2);
+            continue;
+          }
+          buffer = buffer.subarray(decoded.end);
+          const { bytes } = decoded;
+          const valid = is32
+            ? crc32(bytes.slice(0, 5)) === (bytes[5] | (bytes[6] << 8) | (bytes[7] << 16) | (bytes[8] << 24)) >>> 0
+            : crc16(bytes.slice(0, 5)) === bytes[5] * 0x100 + bytes[6];
+          if (!valid) return { error: 'Bad header CRC' };
+          return { type: bytes[0], args: bytes.slice(1, 5), crc32: is32 };
+        }
+
+        buffer = buffer.subarray(i + 1);
+      }
+    },
+
+    // Next data subpacket: { data, frameEnd }, { error } or null
+    readSubpacket(useCrc32) {
+      const data = Buffer.alloc(Math.min(buffer.length, MAX_SUBPACKET_SIZE));
+      let length = 0;
+      let i = 0;
+      while (i < buffer.length) {
+        const byte = buffer[i++];
+        if (IGNORED_BYTES.has(byte)) continue;
+        if (byte !== ZDLE) {
+          if (length >= data.length) return { error: 'Subpacket too long' };
+          data[length++] = byte;
+          continue;
+        }
+        if (i >= buffer.length) return null;
+        const escaped = buffer[i++];
+        if (FRAME_ENDS.has(escaped)) {
+          const decoded = decode(i, useCrc32 ? 4 : 2);
+          if (decoded === null) return null;
+          buffer = buffer.subarray(decoded === false ? i : decoded.end);
+          if (decoded === false) return { error: 'Malformed subpacket CRC' };
+
+          const payload = data.subarray(0, length);
+          const [a, b, c, d] = decoded.bytes;
+          const valid = useCrc32
+            ? crc32(Buffer.concat([payload, Buffer.from([escaped])])) === (a | (b << 8) | (c << 16) | (d << 24)) >>> 0
+            : crc16([escaped], crc16(payload)) === a * 0x100 + b;
+          return valid ? { data: Buffer.from(payload), frameEnd: escaped } : { error: 'Bad data CRC' };
+        }
+        if (length >= data.length) return { error: 'Subpacket too long' };
+        if (escaped === ZRUB0) data[length++] = 0x7f;
+        else if (escaped === ZRUB1) data[length++] = 0xff;
+        else if ((escaped & 0x60) === 0x40) data[length++] = escaped ^ 0x40;
+        else {
+          buffer = buffer.subarray(i);
+          return { error: 'Bad escape sequence' };
+        }
+      }
+      return null;
+    }
+  };
+}
+
+// Parse a ZFILE subpacket: "name\0size mtime mode ...\0"
+function parseFileInfo(data) {
+  const nul = data.indexOf(0);
+  const rawName = data.toString('utf-8', 0, nul === -1 ? data.length : nul);
+  const fields = nul === -1 ? [] : data.toString('latin1', nul + 1).split('\0')[0].trim().split(/\s+/);
+  const size = parseInt(fields[0], 10);
+  // Only the base name is kept; the browser decides where the file goes
+  const name = rawName.replace(/\\/g, '/').split('/').filter(Boolean).pop() || 'download';
+  return { name, size: Number.isInteger(size) ? size : null };
+}
+
+// Create the ZMODEM handler for one shell channel
+// Options:
+//   sendInput(buffer): write to the channel; returns false when the caller should wait for waitForDrain()
+//   waitForDrain(): resolves once the channel accepts more data
+//   onOutput(buffer): normal terminal output
+//   onEvent(type, data): zmodem-start / zmodem-progress / zmodem-end / trzsz-detected
+//   onFile({ transferId, name, size, data }): a downloaded file is complete
+//   getDownloadRoom(): bytes the caller can still hold for downloads (optional, default unlimited)
+// Returns { write(buffer), getTransferId(), sendFiles(transferId, files), cancel(reason), close() }
+function createZmodemHandler({ sendInput, waitForDrain, onOutput, onEvent, onFile, getDownloadRoom = () => Infinity }) {
+  let held = Buffer.alloc(0); // Output that might be the start of a handshake
+  let holdTimer = null;
+  let transfer = null;
+
+  const flushHeld = () => {
+    clearTimeout(holdTimer);
+    holdTimer = null;
+    if (held.length) {
+      const output = held;
+      held = Buffer.alloc(0);
+      onOutput(output);
+    }
+  };
+
+  // Length of the longest suffix of text that starts a handshake marker
+  const partialMarkerLength = (text) => {
+    let longest = 0;
+    HANDSHAKES.forEach(({ marker }) => {
+      for (let length = Math.min(marker.length - 1, text.length); length > longest; length--) {
+        if (text.endsWith(marker.slice(0, length))) {
+          longest = length;
+          break;
+        }
+      }
+    });
+    return longest;
+  };
+
+  const resetIdleTimer = () => {
+    clearTimeout(transfer.idleTimer);
+    const timeout = transfer.direction === 'upload' && !transfer.files ? FILE_WAIT_TIMEOUT : IDLE_TIMEOUT;
+    transfer.idleTimer = setTimeout(() => cancel('Timed out'), timeout);
+  };
+
+  const reportProgress = (force) => {
+    const now = Date.now();
+    if (!transfer.current || (!force && now - transfer.lastProgress < PROGRESS_INTERVAL)) return;
+    transfer.lastProgress = now;
+    // Uploads hear nothing back while data streams out, so progress counts as activity
+    resetIdleTimer();
+    onEvent('zmodem-progress', {
+      transferId: transfer.id,
+      direction: transfer.direction,
+      name: transfer.current.name,
+      bytes: transfer.current.bytes,
+      size: transfer.current.size
+    });
+  };
+
+  // Leave transfer mode and hand the rest of the output back to the terminal
+  const finish = (error) => {
+    if (!transfer) return;
+    const ended = transfer;
+    transfer = null;
+    clearTimeout(ended.idleTimer);
+    clearTimeout(ended.finishTimer);
+    ended.generation += 1;
+
+    onEvent('zmodem-end', {
+      transferId: ended.id,
+      direction: ended.direction,
+      files: ended.results,
+      error: error || null
+    });
+
+    const rest = ended.reader.takeRest();
+    if (rest.length) write(rest);
+  };
+
+  // Abort from our side: CANs stop rz/sz, backspaces wipe them from a line-mode tty
+  const cancel = (reason) => {
+    if (!transfer) return false;
+    sendInput(CANCEL_SEQUENCE);
+    finish(reason || 'Cancelled');
+    return true;
+  };
+
+  const send = (buffer) => sendInput(buffer);
+
+  // --- Receiving (the host runs sz) ---
+
+  const receiverInit = () => send(hexHeader(ZRINIT, [0, 0, 0, CANFDX | CANOVIO | CANFC32]));
+
+  const completeDownload = () => {
+    const file = transfer.current;
+    transfer.current = null;
+    const data = Buffer.concat(file.chunks);
+    transfer.results.push({ name: file.name, size: data.length, status: 'received' });
+    onFile({ transferId: transfer.id, name: file.name, size: data.length, data });
+  };
+
+  const handleReceiverHeader = (header) => {
+    switch (header.type) {
+      case ZRQINIT:
+        receiverInit();
+        break;
+      case ZSINIT:
+        transfer.state = 'sinit';
+        transfer.crc32 = header.crc32;
+        break;
+      case ZFILE:
+        transfer.state = 'file-info';
+        transfer.crc32 = header.crc32;
+        break;
+      case ZDATA: {
+        const position = readPosition(header.args);
+        if (!transfer.current) break;
+        if (position !== transfer.current.bytes) {
+          send(hexHeader(ZRPOS, positionBytes(transfer.current.bytes)));
+          break;
+        }
+        transfer.state = 'data';
+        transfer.crc32 = header.crc32;
+        break;
+      }
+      case ZEOF:
+        if (transfer.current && readPosition(header.args) === transfer.current.bytes) {
+          reportProgress(true);
+          completeDownload();
+          receiverInit();
+        }
+        break;
+      case ZFIN:
+        // Answer with ZFIN; sz replies "OO" (over and out) and exits
+        send(hexHeader(ZFIN, [0, 0, 0, 0]));
+        transfer.state = 'over-and-out';
+        transfer.finishTimer = setTimeout(() => finish(), 500);
+        break;
+      case ZCOMMAND:
+        // Never run commands on behalf of the host
+        cancel('The host asked to run a command');
+        break;
+      case ZCAN:
+      case ZABORT:
+      case ZFERR:
+        finish('Aborted by the host');
+        break;
+      default:
+        break;
+    }
+  };
+
+  const handleReceiverSubpacket = (packet) => {
+    if (transfer.state === 'sinit') {
+      send(hexHeader(ZACK, [0, 0, 0, 0]));
+      transfer.state = 'header';
+      return;
+    }
+
+    if (transfer.state === 'file-info') {
+      transfer.state = 'header';
+      const info = parseFileInfo(packet.data);
+      if (info.size !== null && info.size > ZMODEM_MAX_FILE_SIZE) {
+        transfer.results.push({ name: info.name, size: info.size, status: 'skipped', error: `Larger than ${ZMODEM_MAX_FILE_SIZE} bytes` });
+        send(hexHeader(ZSKIP, [0, 0, 0, 0]));
+        return;
+      }
+      if (info.size !== null && info.size > getDownloadRoom()) {
+        transfer.results.push({ name: info.name, size: info.size, status: 'skipped', error: 'Too many received files are waiting to be downloaded' });
+        send(hexHeader(ZSKIP, [0, 0, 0, 0]));
+        return;
+      }
+      transfer.current = { name: info.name, size: info.size, bytes: 0, chunks: [] };
+      send(hexHeader(ZRPOS, [0, 0, 0, 0]));
+      reportProgress(true);
+      return;
+    }
+
+    const file = transfer.current;
+    file.chunks.push(packet.data);
+    file.bytes += packet.data.length;
+    transfer.receivedBytes += packet.data.length;
+    if (file.bytes > ZMODEM_MAX_FILE_SIZE) {
+      cancel(`${file.name} is larger than ${ZMODEM_MAX_FILE_SIZE} bytes`);
+      return;
+    }
+    if (transfer.receivedBytes > ZMODEM_MAX_TRANSFER_SIZE) {
+      cancel(`The transfer is larger than ${ZMODEM_MAX_TRANSFER_SIZE} bytes`);
+      return;
+    }
+    if (file.bytes > getDownloadRoom()) {
+      cancel('Too many received files are waiting to be downloaded');
+      return;
+    }
+    reportProgress(false);
+
+    if (packet.frameEnd === ZCRCW || packet.frameEnd === ZCRCQ) {
+      send(hexHeader(ZACK, positionBytes(file.bytes)));
+    }
+    if (packet.frameEnd === ZCRCW || packet.frameEnd === ZCRCE) {
+      transfer.state = 'header';
+    }
+  };
+
+  // --- Sending (the host runs rz) ---
+
+  const sendFileHeader = () => {
+    const file = transfer.files[transfer.fileIndex];
+    const remaining = transfer.files.slice(transfer.fileIndex);
+    const bytesLeft = remaining.reduce((sum, item) => sum + item.data.length, 0);
+    const mtime = Math.floor((file.mtime || Date.now()) / 1000).toString(8);
+    const info = Buffer.concat([
+      Buffer.from(file.name, 'utf-8'),
+      Buffer.from(`\0${file.data.length} ${mtime} 0 0 ${remaining.length} ${bytesLeft}\0`, 'latin1')
+    ]);
+
+    transfer.current = { name: file.name, size: file.data.length, bytes: 0, data: file.data };
+    transfer.state = 'await-rpos';
+    send(Buffer.concat([binaryHeader(ZFILE, [0, 0, 0, ZCBIN], transfer.escapeControl), dataSubpacket(info, ZCRCW, transfer.escapeControl)]));
+  };
+
+  const nextFileOrFinish = () => {
+    transfer.fileIndex += 1;
+    if (transfer.fileIndex < transfer.files.length) {
+      sendFileHeader();
+    } else {
+      transfer.current = null;
+      transfer.state = 'await-fin';
+      send(hexHeader(ZFIN, [0, 0, 0, 0]));
+    }
+  };
+
+  // Stream a file from position; a newer ZRPOS starts another run and stops this one
+  const streamFile = async (position) => {
+    const generation = ++transfer.generation;
+    const active = transfer;
+    const file = transfer.current;
+    const escapeControl = transfer.escapeControl;
+    transfer.state = 'streaming';
+    file.bytes = position;
+
+    let ready = send(binaryHeader(ZDATA, positionBytes(position), escapeControl));
+    let offset = position;
+    do {
+      if (!ready) await waitForDrain();
+      if (active.generation !== generation) return;
+      const chunk = file.data.subarray(offset, offset + SUBPACKET_SIZE);
+      offset += chunk.length;
+      const frameEnd = offset >= file.data.length ? ZCRCE : ZCRCG;
+      ready = send(dataSubpacket(chunk, frameEnd, escapeControl));
+      file.bytes = offset;
+      reportProgress(false);
+    } while (offset < file.data.length);
+
+    send(binaryHeader(ZEOF, positionBytes(file.data.length), escapeControl));
+    active.state = 'await-rinit';
+    reportProgress(true);
+  };
+
+  const handleSenderHeader = (header) => {
+    switch (header.type) {
+      case ZRINIT:
+        transfer.escapeControl = (header.args[3] & ESCCTL) !== 0;
+        if (transfer.state === 'await-rinit') {
+          transfer.results.push({ name: transfer.current.name, size: transfer.current.size, status: 'sent' });
+          nextFileOrFinish();
+        }
+        break;
+      case ZRPOS:
+        if (transfer.current && ['await-rpos', 'streaming', 'await-rinit'].includes(transfer.state)) {
+          streamFile(Math.min(readPosition(header.args), transfer.current.size)).catch(err => cancel(err.message));
+        }
+        break;
+      case ZSKIP:
+        if (transfer.current) {
+          transfer.generation += 1;
+          transfer.results.push({ name: transfer.current.name, size: transfer.current.size, status: 'skipped', error: 'Refused by the host' });
+          nextFileOrFinish();
+        }
+        break;
+      case ZNAK:
+        if (transfer.state === 'await-rpos') {
+          transfer.fileIndex -= 1;
+          nextFileOrFinish();
+        }
+        break;
+      case ZCRC:
+        // rz asks for the file's CRC-32 when deciding whether to resume
+        if (transfer.current) {
+          send(binaryHeader(ZCRC, positionBytes(crc32(transfer.current.data)), transfer.escapeControl));
+        }
+        break;
+      case ZFIN:
+        if (transfer.state === 'await-fin') {
+          send(Buffer.from('OO', 'latin1'));
+          finish();
+        }
+        break;
+      case ZCAN:
+      case ZABORT:
+      case ZFERR:
+        finish('Aborted by the host');
+        break;
+      default:
+        break;
+    }
+  };
+
+  // Feed transfer data through the reader until it needs more
+  const pump = () => {
+    while (transfer) {
+      const active = transfer;
+      if (active.state === 'over-and-out') {
+        // Swallow sz's "OO", then hand everything after it back
+        const rest = active.reader.takeRest();
+        let skip = 0;
+        while (skip < rest.length && active.overAndOut < 2 && rest[skip] === 0x4f) {
+          skip++;
+          active.overAndOut++;
+        }
+        active.reader.push(rest.subarray(skip));
+        if (skip < rest.length || active.overAndOut === 2) finish();
+        return;
+      }
+
+      const expectsData = ['sinit', 'file-info', 'data'].includes(active.state);
+      const item = expectsData ? active.reader.readSubpacket(active.crc32) : active.reader.readHeader();
+      if (!item) return;
+
+      if (item.aborted) {
+        finish('Aborted by the host');
+        return;
+      }
+      if (item.error) {
+        // Ask the sender to go back to the last good position
+        console.log(`ZMODEM transfer ${active.id}: ${item.error}`);
+        if (active.direction === 'download') {
+          active.state = 'header';
+          if (active.current) send(hexHeader(ZRPOS, positionBytes(active.current.bytes)));
+        }
+        continue;
+      }
+
+      if (active.direction === 'upload') {
+        handleSenderHeader(item);
+      } else if (expectsData) {
+        handleReceiverSubpacket(item);
+      } else {
+        handleReceiverHeader(item);
+      }
+    }
+  };
+
+  // Enter transfer mode at a handshake (data starts with the handshake header)
+  const start = (kind, data) => {
+    transfer = {
+      id: crypto.randomBytes(8).toString('hex'),
+      direction: kind,
+      state: 'header',
+      reader: createReader(),
+      crc32: false,
+      escapeControl: false,
+      files: null,
+      fileIndex: 0,
+      current: null,
+      receivedBytes: 0,
+      results: [],
+      generation: 0,
+      overAndOut: 0,
+      lastProgress: 0,
+      idleTimer: null,
+      finishTimer: null
+    };
+    onEvent('zmodem-start', { transferId: transfer.id, direction: kind });
+    resetIdleTimer();
+    transfer.reader.push(data);
+    pump();
+  };
+
+  function write(data) {
+    if (transfer) {
+      resetIdleTimer();
+      transfer.reader.push(data);
+      pump();
+      return;
+    }
+
+    clearTimeout(holdTimer);
+    const chunk = held.length ? Buffer.concat([held, data]) : data;
+    held = Buffer.alloc(0);
+    const text = chunk.toString('latin1');
+
+    // Earliest handshake in this chunk
+    let found = null;
+    HANDSHAKES.forEach((handshake) => {
+      const index = text.indexOf(handshake.marker);
+      if (index !== -1 && (!found || index < found.index)) found = { ...handshake, index };
+    });
+
+    if (found && found.kind === 'trzsz') {
+      onOutput(chunk);
+      onOutput(Buffer.from(TRZSZ_NOTICE, 'latin1'));
+      onEvent('trzsz-detected', {});
+      return;
+    }
+    if (found) {
+      if (found.index > 0) onOutput(chunk.subarray(0, found.index));
+      start(found.kind, chunk.subarray(found.index));
+      return;
+    }
+
+    // Hold back a possible start of a handshake until the next chunk shows what it is
+    const partial = partialMarkerLength(text);
+    if (partial) {
+      held = chunk.subarray(chunk.length - partial);
+      if (partial < chunk.length) onOutput(chunk.subarray(0, chunk.length - partial));
+      holdTimer = setTimeout(flushHeld, HOLD_DELAY);
+      return;
+    }
+    onOutput(chunk);
+  }
+
+  return {
+    write,
+
+    // Id of the running transfer, or null when the channel carries normal output
+    getTransferId() {
+      return transfer ? transfer.id : null;
+    },
+
+    // Files picked in the browser for a waiting rz: [{ name, data, mtime }]
+    sendFiles(transferId, files) {
+      if (!transfer || transfer.id !== transferId || transfer.direction !== 'upload' || transfer.files) {
+        return false;
+      }
+      if (!files.length) {
+        cancel('No files selected');
+        return true;
+      }
+      transfer.files = files;
+      transfer.fileIndex = 0;
+      resetIdleTimer();
+      sendFileHeader();
+      return true;
+    },
+
+    cancel,
+
+    close() {
+      clearTimeout(holdTimer);
+      if (transfer) finish('Channel closed');
+    }
+  };
+}
+
+module.exports = {
+  ZMODEM_MAX_FILE_SIZE,
+  ZMODEM_MAX_TRANSFER_SIZE,
+  crc16,
+  crc32,
+  hexHeader,
+  binaryHeader,
+  dataSubpacket,
+  createReader,
+  createZmodemHandler
+};
@@ -0,0 +1,321 @@
+/**
+ * Helpers for replaying asciicast v2 session recordings in the browser
+ */
+import axios from 'axios';
+
+const API_BASE = 'http://localhost:3001';
+
+/**
+ * Longest pause kept when idle gaps are compressed, unless the recording sets idle_time_limit.
+ */
+export const DEFAULT_IDLE_LIMIT = 2;
+
+/**
+ * Parse an asciicast v2 file.
+ *
+ * @param {string} text - Contents of the .cast file (header line followed by event lines).
+ * @returns {object} { header, events: [{ time, code, data }], markers: [{ time, label }], duration }
+ *   where times are seconds from the start of the recording. Lines that do not parse are
+ *   skipped, so a recording that is still being written can be played up to its last event.
+ */
+export function parseAsciicast(text) {
+  const lines = (text || '').split('\n');
+  let header;
+  try {
+    header = JSON.parse(lines[0]);
+  } catch (err) {
+    throw new Error('Not an asciicast recording');
+  }
+  if (!header || header.version !== 2) {
+    throw new Error(`Unsupported asciicast version: ${header && header.version}`);
+  }
+
+  const events = [];
+  for (let i = 1; i < lines.length; i++) {
+    if (!lines[i].trim()) continue;
+    try {
+      const [time, code, data] = JSON.parse(lines[i]);
+      if (typeof time === 'number' && typeof code === 'string') {
+        events.push({ time, code, data: typeof data === 'string' ? data : '' });
+      }
+    } catch (err) {
+      // A partly written last line of a live recording
+    }
+  }
+
+  const markers = events
+    .filter(event => event.code === 'm')
+    .map(event => ({ time: event.time, label: event.data }));
+
+  return {
+    header,
+    events,
+    markers,
+    duration: events.length ? events[events.length - 1].time : 0
+  };
+}
+
+/**
+ * Build the playback timeline of a recording.
+ * Each event gets an `at` time (seconds into playback); with idleLimit set, pauses longer
+ * than idleLimit are shortened to it so playback skips over idle stretches.
+ *
+ * @param {object[]} events - Events from parseAsciicast.
+ * @param {number} [idleLimit] - Longest pause to keep, in seconds; 0 or missing keeps every pause.
+ * @returns {object[]} Copies of the events with `at` added.
+ */
+export function buildTimeline(events, idleLimit) {
+  let at = 0;
+  let previous = 0;
+  return events.map((event) => {
+    const gap = Math.max(0, event.time - previous);
+    at += idleLimit > 0 ? Math.min(gap, idleLimit) : gap;
+    previous = event.time;
+    return { ...event, at };
+  });
+}
+
+/**
+ * Index of the last timeline event at or before a time.
+ *
+ * @param {object[]} timeline - Events from buildTimeline.
+ * @param {number} time - Time to look up.
+ * @param {string} [key='at'] - 'at' for playback time or 'time' for recording time.
+ * @returns {number} Event index, or -1 when the time is before the first event.
+ */
+export function eventIndexAt(timeline, time, key = 'at') {
+  let low = 0;
+  let high = timeline.length - 1;
+  let found = -1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (timeline[mid][key] <= time) {
+      found = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return found;
+}
+
+/**
+ * Convert a time in the original recording to a playback time on a timeline.
+ *
+ * @param {object[]} timeline - Events from buildTimeline.
+ * @param {number} time - Seconds from the start of the recording.
+ * @param {number} [idleLimit] - The limit the timeline was built with.
+ * @returns {number} Seconds into playback.
+ */
+export function toPlaybackTime(timeline, time, idleLimit) {
+  const index = eventIndexAt(timeline, time, 'time');
+  if (index < 0) {
+    return idleLimit > 0 ? Math.min(time, idleLimit) : time;
+  }
+  const since = time - timeline[index].time;
+  return timeline[index].at + (idleLimit > 0 ? Math.min(since, idleLimit) : since);
+}
+
+/**
+ * Convert a playback time back to a time in the original recording (used for links,
+ * which stay valid whether or not idle gaps are compressed).
+ *
+ * @param {object[]} timeline - Events from buildTimeline.
+ * @param {number} at - Seconds into playback.
+ * @returns {number} Seconds from the start of the recording.
+ */
+export function toRecordingTime(timeline, at) {
+  const index = eventIndexAt(timeline, at);
+  if (index < 0) return at;
+  return timeline[index].time + (at - timeline[index].at);
+}
+
+/**
+ * Download and parse the recording of a transcript.
+ *
+ * @param {string} transcriptId - Transcript (session) id.
+ * @returns {Promise<object>} Parsed recording, see parseAsciicast.
+ */
+export async function fetchRecording(transcriptId) {
+  try {
+    const response = await axios.get(`${API_BASE}/api/transcripts/${transcriptId}/asciicast`, {
+      responseType: 'text',
+      transformResponse: [data => data]
+    });
+    return parseAsciicast(response.data);
+  } catch (err) {
+    let message = err.message || 'Failed to load recording';
+    if (err.response) {
+      try {
+        message = JSON.parse(err.response.data).error || message;
+      } catch (parseErr) {
+        // Keep the generic message
+      }
+    }
+    throw new Error(message);
+  }
+}
+
+// Parse an asciicast resize event ("COLSxROWS")
+function parseSize(data) {
+  const match = /^(\d+)x(\d+)$/.exec(data || '');
+  return match ? { cols: Number(match[1]), rows: Number(match[2]) } : null;
+}
+
+/**
+ * Play a recording into an xterm Terminal with its original timing.
+ * Everything is written through xterm's write queue (resizes run from write callbacks), so
+ * it is applied in recording order even while earlier output is still being parsed. Seeking
+ * replays the recording from the start; while one redraw is still being written (e.g. when
+ * dragging a timeline) only the latest requested position is kept for the next one.
+ *
+ * @param {object} term - xterm Terminal to play into.
+ * @param {object} recording - Parsed recording, see parseAsciicast.
+ * @param {object} [options]
+ * @param {boolean} [options.compressIdle=true] - Shorten pauses to the recording's idle_time_limit (or DEFAULT_IDLE_LIMIT).
+ * @param {function} [options.onTime] - Called with the playback time as it changes.
+ * @param {function} [options.onStateChange] - Called with true/false when playback starts or stops.
+ * @returns {object} Player with play(), pause(), seek(at), setSpeed(speed), setCompressIdle(compress),
+ *   getTime(), getDuration(), getMarkers(), getIdleLimit(), toRecordingTime(at),
+ *   toPlaybackTime(time) and stop(). Playback times are seconds on the (possibly compressed)
+ *   timeline; recording times are seconds from the start of the recording.
+ */
+export function createPlayer(term, recording, { compressIdle = true, onTime, onStateChange } = {}) {
+  const { header, events } = recording;
+  const idleLimit = header.idle_time_limit > 0 ? header.idle_time_limit : DEFAULT_IDLE_LIMIT;
+  let limit = compressIdle ? idleLimit : 0;
+  let timeline = buildTimeline(events, limit);
+  let nextEvent = 0; // Index of the first event not yet written to the terminal
+  let currentTime = 0;
+  let speed = 1;
+  let clock = null; // { wall, at } anchor while playing
+  let frame = null;
+  let seekState = { busy: false, pending: null };
+
+  const getDuration = () => (timeline.length ? timeline[timeline.length - 1].at : 0);
+
+  const setTime = (at) => {
+    currentTime = at;
+    if (onTime) onTime(at);
+  };
+
+  // Write every event up to playback time `at` that hasn't been written yet
+  const applyUntil = (at, onWritten) => {
+    let output = '';
+    let index = nextEvent;
+    while (index < timeline.length && timeline[index].at <= at) {
+      const event = timeline[index];
+      if (event.code === 'o') {
+        output += event.data;
+      } else if (event.code === 'r') {
+        const size = parseSize(event.data);
+        if (size) {
+          // Output so far belongs to the old size
+          term.write(output, () => term.resize(size.cols, size.rows));
+          output = '';
+        }
+      }
+      index++;
+    }
+    if (output || onWritten) {
+      term.write(output, onWritten);
+    }
+    nextEvent = index;
+  };
+
+  const seek = (at) => {
+    const target = Math.min(Math.max(0, at), getDuration());
+    setTime(target);
+    if (clock) {
+      clock = { wall: performance.now(), at: target };
+    }
+
+    if (seekState.busy) {
+      seekState.pending = target;
+      return;
+    }
+    seekState.busy = true;
+
+    // RIS resets the terminal in order with the queued output
+    term.write('\x1bc', () => term.resize(header.width || 80, header.height || 24));
+    nextEvent = 0;
+    applyUntil(target, () => {
+      const { pending } = seekState;
+      seekState = { busy: false, pending: null };
+      if (pending !== null) {
+        seek(pending);
+      }
+    });
+  };
+
+  const stopClock = () => {
+    if (frame) {
+      cancelAnimationFrame(frame);
+      frame = null;
+    }
+    clock = null;
+  };
+
+  const tick = () => {
+    if (!clock) return;
+
+    const at = clock.at + ((performance.now() - clock.wall) / 1000) * speed;
+    // A redraw that is waiting to start replaces what would be written now
+    if (seekState.pending === null) {
+      applyUntil(at);
+    }
+
+    if (at >= getDuration()) {
+      setTime(getDuration());
+      stopClock();
+      if (onStateChange) onStateChange(false);
+      return;
+    }
+    setTime(at);
+    frame = requestAnimationFrame(tick);
+  };
+
+  const play = () => {
+    if (clock) return;
+    if (currentTime >= getDuration()) {
+      seek(0);
+    }
+    clock = { wall: performance.now(), at: currentTime };
+    frame = requestAnimationFrame(tick);
+    if (onStateChange) onStateChange(true);
+  };
+
+  const pause = () => {
+    stopClock();
+    if (onStateChange) onStateChange(false);
+  };
+
+  // Rebuild the timeline and stay at the same point in the recording
+  const setCompressIdle = (compress) => {
+    const recordingTime = toRecordingTime(timeline, currentTime);
+    limit = compress ? idleLimit : 0;
+    timeline = buildTimeline(events, limit);
+    seek(toPlaybackTime(timeline, recordingTime, limit));
+  };
+
+  return {
+    play,
+    pause,
+    seek,
+    setCompressIdle,
+    // Re-anchor the clock so the speed change applies from now on
+    setSpeed(value) {
+      if (clock) {
+        clock = { wall: performance.now(), at: currentTime };
+      }
+      speed = value;
+    },
+    getTime: () => currentTime,
+    toRecordingTime: at => toRecordingTime(timeline, at),
+    toPlaybackTime: time => toPlaybackTime(timeline, time, limit),
+    getDuration,
+    getMarkers: () => timeline.filter(event => event.code === 'm').map(event => ({ at: event.at, label: event.data })),
+    getIdleLimit: () => idleLimit,
+    stop: stopClock
+  };
+}
@@ -0,0 +1,125 @@
+/**
+ * Browser-side helpers for file management operations on a session's SSH host (over SFTP)
+ */
+import axios from 'axios';
+
+const API_BASE = 'http://localhost:3001';
+
+/**
+ * Call a file operation endpoint, turning gateway errors into Error messages.
+ *
+ * @param {Promise} request - Pending axios request.
+ * @returns {Promise<object>} The gateway's response body.
+ */
+async function send(request) {
+  try {
+    const response = await request;
+    return response.data;
+  } catch (err) {
+    throw new Error(err.response?.data?.error || err.message || 'File operation failed');
+  }
+}
+
+/**
+ * Rename or move a file or directory. An existing destination is never replaced.
+ *
+ * @param {string} sessionId - Session whose SSH connection is used.
+ * @param {string} from - Current path.
+ * @param {string} to - New path.
+ * @returns {Promise<object>} { from, to } as resolved on the host.
+ */
+export function renamePath(sessionId, from, to) {
+  return send(axios.post(`${API_BASE}/api/sessions/${sessionId}/files/rename`, { from, to }));
+}
+
+/**
+ * Delete a file, link or directory.
+ *
+ * @param {string} sessionId - Session whose SSH connection is used.
+ * @param {string} path - Path to delete.
+ * @param {object} [options] - { recursive } to delete a directory with its contents.
+ * @returns {Promise<object>} { path, type }
+ */
+export function deletePath(sessionId, path, { recursive = false } = {}) {
+  return send(axios.delete(`${API_BASE}/api/sessions/${sessionId}/files`, {
+    params: { path, recursive: recursive ? 'true' : undefined }
+  }));
+}
+
+/**
+ * Create a directory.
+ *
+ * @param {string} sessionId - Session whose SSH connection is used.
+ * @param {string} path - Directory to create.
+ * @returns {Promise<object>} { path }
+ */
+export function createDirectory(sessionId, path) {
+  return send(axios.post(`${API_BASE}/api/sessions/${sessionId}/files/mkdir`, { path }));
+}
+
+/**
+ * Create an empty file.
+ *
+ * @param {string} sessionId - Session whose SSH connection is used.
+ * @param {string} path - File to create.
+ * @returns {Promise<object>} { path }
+ */
+export function createFile(sessionId, path) {
+  return send(axios.post(`${API_BASE}/api/sessions/${sessionId}/files/create`, { path }));
+}
+
+/**
+ * Change the permission bits of a path.
+ *
+ * @param {string} sessionId - Session whose SSH connection is used.
+ * @param {string} path - Path to change.
+ * @param {string} mode - Octal mode, e.g. "0644".
+ * @returns {Promise<object>} { path, mode }
+ */
+export function changeMode(sessionId, path, mode) {
+  return send(axios.post(`${API_BASE}/api/sessions/${sessionId}/files/chmod`, { path, mode }));
+}
+
+/**
+ * Change the owner and/or group of a path.
+ *
+ * @param {string} sessionId - Session whose SSH connection is used.
+ * @param {string} path - Path to change.
+ * @param {object} ownership - { owner, group } as names or numeric ids; leave one empty to keep it.
+ * @returns {Promise<object>} { path, uid, gid }
+ */
+export function changeOwner(sessionId, path, { owner, group }) {
+  return send(axios.post(`${API_BASE}/api/sessions/${sessionId}/files/chown`, { path, owner, group }));
+}
+
+/**
+ * Change the terminal's working directory by typing a cd command into the session's shell.
+ *
+ * @param {string} sessionId - Session whose terminal should change directory.
+ * @param {string} path - Directory to change to.
+ * @returns {Promise<object>} { path } as resolved on the host.
+ */
+export function changeTerminalDirectory(sessionId, path) {
+  return send(axios.post(`${API_BASE}/api/sessions/${sessionId}/cwd`, { path }));
+}
+
+/**
+ * Copy files and directories from one session's host into a directory on another session's
+ * host. The gateway streams the data between the two SFTP connections.
+ *
+ * @param {object} copy - { sourceSessionId, sourcePaths, targetSessionId, targetDir, conflict, copyId }
+ *   where conflict is fail (default), skip or overwrite.
+ * @returns {Promise<object>} { copyId, targetDir, bytesCopied, items: [{ source, path, type, size, files, status, error? }] },
+ *   also when the gateway answers 409 because some items already existed.
+ */
+export async function copyBetweenSessions(copy) {
+  try {
+    const response = await axios.post(`${API_BASE}/api/files/copy`, copy);
+    return response.data;
+  } catch (err) {
+    if (err.response?.status === 409 && err.response.data?.items) {
+      return err.response.data;
+    }
+    throw new Error(err.response?.data?.error || err.message || 'Copy failed');
+  }
+}
@@ -0,0 +1,97 @@
+/**
+ * Browser-side helper for uploading files into a directory on a session's SSH host
+ */
+import axios from 'axios';
+
+const API_BASE = 'http://localhost:3001';
+
+/**
+ * Send files to the gateway's upload endpoint.
+ *
+ * @param {string} sessionId - Session whose SSH connection receives the files.
+ * @param {File[]} files - Files to upload.
+ * @param {object} options - { path, conflict, uploadId, onProgress(fraction) }
+ * @returns {Promise<object>} The gateway's result ({ uploadId, path, files }), also for 409 conflicts.
+ */
+async function sendFiles(sessionId, files, { path, conflict, uploadId, onProgress }) {
+  const formData = new FormData();
+  files.forEach(file => formData.append('files', file, file.name));
+
+  try {
+    const response = await axios.post(`${API_BASE}/api/sessions/${sessionId}/files/upload`, formData, {
+      params: { path: path || undefined, conflict, uploadId },
+      onUploadProgress: (event) => {
+        if (onProgress && event.total) onProgress(event.loaded / event.total);
+      }
+    });
+    return response.data;
+  } catch (err) {
+    if (err.response?.status === 409 && err.response.data?.files) {
+      return err.response.data;
+    }
+    throw new Error(err.response?.data?.error || err.message || 'Upload failed');
+  }
+}
+
+/**
+ * Upload files into a remote directory, asking before anything is overwritten.
+ * Files that already exist are reported by the gateway without being written; the user
+ * then chooses to overwrite them (they are sent again) or to skip them.
+ *
+ * @param {string} sessionId - Session whose SSH connection receives the files.
+ * @param {FileList|File[]} fileList - Files to upload (e.g. from a drop event).
+ * @param {object} [options] - { path (defaults to the home directory), onProgress(fraction) }
+ * @returns {Promise<object>} { path, files: [{ name, path, size, status, error? }] }
+ */
+export async function uploadFiles(sessionId, fileList, { path, onProgress } = {}) {
+  const files = Array.from(fileList);
+  if (!files.length) {
+    return { path, files: [] };
+  }
+
+  const uploadId = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+  const result = await sendFiles(sessionId, files, { path, conflict: 'fail', uploadId, onProgress });
+
+  const conflicts = result.files.filter(file => file.status === 'conflict');
+  if (!conflicts.length) {
+    return result;
+  }
+
+  const names = conflicts.map(file => file.name);
+  const overwrite = window.confirm(
+    `${names.length} file(s) already exist in ${result.path}:\n\n${names.join('\n')}\n\nOK to overwrite them, Cancel to skip them.`
+  );
+  if (!overwrite) {
+    return {
+      ...result,
+      files: result.files.map(file => (file.status === 'conflict' ? { ...file, status: 'skipped' } : file))
+    };
+  }
+
+  const retry = await sendFiles(sessionId, files.filter(file => names.includes(file.name)), {
+    path: result.path,
+    conflict: 'overwrite',
+    uploadId,
+    onProgress
+  });
+  const retried = Object.fromEntries(retry.files.map(file => [file.name, file]));
+
+  return {
+    ...result,
+    files: result.files.map(file => (file.status === 'conflict' ? retried[file.name] || file : file))
+  };
+}
+
+/**
+ * Summarize an upload result for status messages, e.g. "2 uploaded, 1 skipped".
+ *
+ * @param {object} result - Result returned by uploadFiles.
+ * @returns {string} Human-readable summary.
+ */
+export function describeUploadResult(result) {
+  const counts = {};
+  result.files.forEach((file) => {
+    counts[file.status] = (counts[file.status] || 0) + 1;
+  });
+  return Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ');
+}
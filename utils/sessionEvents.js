@@ -0,0 +1,54 @@
+/**
+ * Browser-side subscription to a session's gateway events (search results and the like)
+ * over a WebSocket of its own. Subscribers get no terminal output and don't count as
+ * attached clients, so panels can listen without affecting the session.
+ */
+
+const WS_URL = 'ws://localhost:3001';
+
+// Delay before a dropped subscription is opened again
+const RECONNECT_DELAY = 2000;
+
+/**
+ * Subscribe to a session's events.
+ *
+ * @param {string} sessionId - Session to follow.
+ * @param {function} onEvent - Called with (type, data) for every event.
+ * @returns {function} Unsubscribe function that closes the WebSocket.
+ */
+export function subscribeToSessionEvents(sessionId, onEvent) {
+  let ws = null;
+  let reconnectTimer = null;
+  let closed = false;
+
+  const connect = () => {
+    ws = new WebSocket(WS_URL);
+
+    ws.onopen = () => {
+      ws.send(JSON.stringify({ type: 'subscribe', sessionId }));
+    };
+
+    ws.onmessage = (event) => {
+      try {
+        const message = JSON.parse(event.data);
+        onEvent(message.type, message.data);
+      } catch (err) {
+        console.error('sessionEvents: invalid message', err);
+      }
+    };
+
+    ws.onclose = () => {
+      if (!closed) {
+        reconnectTimer = setTimeout(connect, RECONNECT_DELAY);
+      }
+    };
+  };
+
+  connect();
+
+  return () => {
+    closed = true;
+    clearTimeout(reconnectTimer);
+    if (ws) ws.close();
+  };
+}
@@ -0,0 +1,155 @@
+/**
+ * Lightweight syntax highlighting for file previews: splits source text into comment,
+ * string, number, keyword and tag tokens with one regular expression per language.
+ * It is deliberately approximate; it only has to make a quick look easier to read.
+ */
+
+const C_KEYWORDS = 'auto break case char const continue default do double else enum extern float for goto if inline int long register return short signed sizeof static struct switch typedef union unsigned void volatile while class namespace template public private protected virtual new delete this try catch throw bool true false nullptr';
+const JS_KEYWORDS = 'async await break case catch class const continue debugger default delete do else export extends false finally for from function if import in instanceof let new null of return static super switch this throw true try typeof undefined var void while with yield interface type enum implements';
+
+// Building blocks for language rules (regular expression sources without capture groups)
+const DOUBLE_QUOTED = '"(?:[^"\\\\\\n]|\\\\.)*"';
+const SINGLE_QUOTED = "'(?:[^'\\\\\\n]|\\\\.)*'";
+const NUMBER = '\\b(?:0[xX][0-9a-fA-F]+|\\d+(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)\\b';
+const HASH_COMMENT = '(?<![^\\s])#.*'; // Only at the start of a line or after whitespace (not $# or ${a#b})
+const SLASH_COMMENTS = ['//.*', '/\\*[\\s\\S]*?\\*/'];
+
+const LANGUAGES = {
+  javascript: {
+    extensions: ['js', 'jsx', 'mjs', 'cjs', 'ts', 'tsx'],
+    comment: SLASH_COMMENTS,
+    string: [DOUBLE_QUOTED, SINGLE_QUOTED, '`(?:[^`\\\\]|\\\\[\\s\\S])*`'],
+    keywords: JS_KEYWORDS
+  },
+  json: {
+    extensions: ['json'],
+    string: [DOUBLE_QUOTED],
+    keywords: 'true false null'
+  },
+  python: {
+    extensions: ['py'],
+    comment: [HASH_COMMENT],
+    string: ['"""[\\s\\S]*?"""', "'''[\\s\\S]*?'''", DOUBLE_QUOTED, SINGLE_QUOTED],
+    keywords: 'and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return True try while with yield self'
+  },
+  shell: {
+    extensions: ['sh', 'bash', 'zsh'],
+    names: ['.bashrc', '.bash_profile', '.profile', '.zshrc'],
+    comment: [HASH_COMMENT],
+    string: [DOUBLE_QUOTED, "'[^']*'"],
+    keywords: 'if then else elif fi for while until do done case esac in function return local export readonly set unset source exit echo'
+  },
+  yaml: {
+    extensions: ['yml', 'yaml'],
+    comment: [HASH_COMMENT],
+    string: [DOUBLE_QUOTED, SINGLE_QUOTED],
+    keywords: 'true false null yes no on off'
+  },
+  config: {
+    extensions: ['conf', 'cfg', 'ini', 'toml', 'env', 'properties', 'service'],
+    names: ['Dockerfile', 'Makefile'],
+    comment: [HASH_COMMENT, ';.*'],
+    string: [DOUBLE_QUOTED, SINGLE_QUOTED],
+    keywords: 'true false on off yes no'
+  },
+  c: {
+    extensions: ['c', 'h', 'cc', 'cpp', 'hpp', 'java', 'cs', 'go', 'rs', 'kt', 'swift', 'php'],
+    comment: SLASH_COMMENTS,
+    string: [DOUBLE_QUOTED, SINGLE_QUOTED],
+    keywords: `${C_KEYWORDS} func package import var type struct interface map chan go defer range fn let mut impl pub use mod match loop`
+  },
+  css: {
+    extensions: ['css', 'scss', 'less'],
+    comment: ['/\\*[\\s\\S]*?\\*/'],
+    string: [DOUBLE_QUOTED, SINGLE_QUOTED],
+    keywords: 'important'
+  },
+  sql: {
+    extensions: ['sql'],
+    comment: ['--.*', '/\\*[\\s\\S]*?\\*/'],
+    string: [SINGLE_QUOTED],
+    keywords: 'select from where insert into values update set delete create table drop alter index join left right inner outer on and or not null is as order by group having limit primary key'
+  },
+  markup: {
+    extensions: ['html', 'htm', 'xml', 'svg', 'vue'],
+    comment: ['<!--[\\s\\S]*?-->'],
+    string: [DOUBLE_QUOTED, SINGLE_QUOTED],
+    tag: ['</?[A-Za-z][\\w:.-]*', '/?>']
+  }
+};
+
+// Token types in the order they are tried
+const TOKEN_TYPES = ['comment', 'string', 'tag', 'keyword', 'number'];
+
+const compiled = {};
+
+// Build (once) the combined regular expression for a language
+function getPattern(language) {
+  if (!compiled[language]) {
+    const rules = LANGUAGES[language];
+    const alternatives = [];
+    const types = [];
+    TOKEN_TYPES.forEach((type) => {
+      let sources = rules[type] || [];
+      if (type === 'keyword') {
+        sources = rules.keywords ? [`\\b(?:${rules.keywords.split(' ').join('|')})\\b`] : [];
+      } else if (type === 'number') {
+        sources = language === 'markup' ? [] : [NUMBER];
+      }
+      sources.forEach((source) => {
+        alternatives.push(`(${source})`);
+        types.push(type);
+      });
+    });
+    compiled[language] = { regex: new RegExp(alternatives.join('|'), language === 'sql' ? 'gi' : 'g'), types };
+  }
+  return compiled[language];
+}
+
+/**
+ * Pick a highlighting language from a file name.
+ *
+ * @param {string} fileName - Base name of the file.
+ * @returns {string|null} Language key, or null for plain text.
+ */
+export function detectLanguage(fileName) {
+  const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+  const match = Object.entries(LANGUAGES).find(([, rules]) => (
+    (rules.names && rules.names.includes(fileName)) || rules.extensions.includes(extension)
+  ));
+  return match ? match[0] : null;
+}
+
+/**
+ * Split text into highlighting tokens.
+ *
+ * @param {string} text - Source text.
+ * @param {string|null} language - Language key from detectLanguage.
+ * @returns {Array<{text: string, type: string|null}>} Tokens covering the whole text; type is null for plain text.
+ */
+export function tokenize(text, language) {
+  if (!language || !LANGUAGES[language]) {
+    return [{ text, type: null }];
+  }
+
+  const { regex, types } = getPattern(language);
+  const tokens = [];
+  let last = 0;
+  regex.lastIndex = 0;
+  for (let match = regex.exec(text); match; match = regex.exec(text)) {
+    if (!match[0]) {
+      regex.lastIndex += 1;
+      continue;
+    }
+    if (match.index > last) {
+      tokens.push({ text: text.slice(last, match.index), type: null });
+    }
+    const group = match.findIndex((value, i) => i > 0 && value !== undefined);
+    tokens.push({ text: match[0], type: types[group - 1] });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) {
+    tokens.push({ text: text.slice(last), type: null });
+  }
+  return tokens;
+}
@@ -0,0 +1,64 @@
+/**
+ * Browser-side helpers for rz/sz transfers the gateway runs inside a terminal session
+ */
+import axios from 'axios';
+
+const API_BASE = 'http://localhost:3001';
+
+/**
+ * Send the files picked for a waiting rz on the host.
+ *
+ * @param {string} sessionId - Session whose terminal runs rz.
+ * @param {string} transferId - Transfer id from the zmodem-start message.
+ * @param {FileList|File[]} fileList - Files to send; an empty list cancels the transfer.
+ * @returns {Promise<object>} { transferId, files: [{ name, size }] } once the transfer has started.
+ */
+export async function sendZmodemFiles(sessionId, transferId, fileList) {
+  const files = Array.from(fileList);
+  const formData = new FormData();
+  files.forEach((file) => {
+    formData.append('files', file, file.name);
+    formData.append('lastModified', String(file.lastModified));
+  });
+
+  try {
+    const response = await axios.post(`${API_BASE}/api/sessions/${sessionId}/zmodem/${transferId}/files`, formData);
+    return response.data;
+  } catch (err) {
+    throw new Error(err.response?.data?.error || err.message || 'Failed to send files');
+  }
+}
+
+/**
+ * Cancel a running rz/sz transfer.
+ *
+ * @param {string} sessionId - Session whose terminal runs the transfer.
+ * @param {string} transferId - Transfer id from the zmodem-start message.
+ * @returns {Promise<void>}
+ */
+export async function cancelZmodemTransfer(sessionId, transferId) {
+  try {
+    await axios.delete(`${API_BASE}/api/sessions/${sessionId}/zmodem/${transferId}`);
+  } catch (err) {
+    // The transfer may have ended on its own in the meantime
+    if (err.response?.status !== 404) {
+      throw new Error(err.response?.data?.error || err.message || 'Failed to cancel transfer');
+    }
+  }
+}
+
+/**
+ * Save a file the host sent with sz (the gateway keeps it until it is downloaded once).
+ *
+ * @param {string} sessionId - Session whose terminal ran sz.
+ * @param {string} fileId - File id from the zmodem-file message.
+ * @param {string} name - File name to save as.
+ */
+export function downloadZmodemFile(sessionId, fileId, name) {
+  const link = document.createElement('a');
+  link.href = `${API_BASE}/api/sessions/${sessionId}/zmodem/files/${fileId}`;
+  link.download = name;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+}